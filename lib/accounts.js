@@ -0,0 +1,88 @@
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+
+// Split a comma separated list or an array of tags into trimmed, lower-case tags
+export function parseTags(value) {
+  if (!value) return [];
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Per-account metadata kept next to the credentials, as a JSON map of email ->
+// { enabled, tags, notes, addedAt, lastLogin, lastPoints, lastError, lastErrorAt }.
+// Passwords never go in the registry, they stay in the credentials file or the vault.
+export class AccountRegistry {
+  constructor(filePath, accounts = {}) {
+    this.filePath = filePath;
+    this.accounts = accounts;
+  }
+
+  // Load the registry, empty when its file does not exist yet
+  static async load(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return new AccountRegistry(filePath);
+    }
+    return new AccountRegistry(filePath, (await fs.readJson(filePath)).accounts || {});
+  }
+
+  async save() {
+    await fs.writeJson(this.filePath, { accounts: this.accounts }, { spaces: 2 });
+  }
+
+  has(email) {
+    return email in this.accounts;
+  }
+
+  // An account's metadata, with the defaults for one the registry has not seen
+  get(email) {
+    return { enabled: true, tags: [], notes: '', ...this.accounts[email] };
+  }
+
+  // Merge fields into an account's metadata
+  update(email, fields) {
+    this.accounts[email] = { ...this.get(email), ...fields };
+    return this.accounts[email];
+  }
+
+  remove(email) {
+    const known = this.has(email);
+    delete this.accounts[email];
+    return known;
+  }
+
+  // Whether an account carries one of the tags, any account does when no tags are given
+  matches(email, tags) {
+    return tags.length === 0 || this.get(email).tags.some(tag => tags.includes(tag));
+  }
+
+  // Split credentials into the accounts a run takes (enabled and, with tags, carrying one of them)
+  // and the emails left out as disabled or untagged
+  select(credentials, { tags = [] } = {}) {
+    const selected = [];
+    const disabled = [];
+    const untagged = [];
+    for (const account of credentials) {
+      if (!this.get(account.email).enabled) {
+        disabled.push(account.email);
+      } else if (!this.matches(account.email, tags)) {
+        untagged.push(account.email);
+      } else {
+        selected.push(account);
+      }
+    }
+    return { selected, disabled, untagged };
+  }
+
+  // Keep the outcome of a login-success or login-failure run event on its account
+  async record(event) {
+    const time = event.time || new Date().toISOString();
+    if (event.type === 'login-success') {
+      this.update(event.account, { lastLogin: time, lastPoints: event.points, lastError: null, lastErrorAt: null });
+    } else if (event.type === 'login-failure') {
+      this.update(event.account, { lastError: logger.redact(`[${event.category}] ${event.error}`), lastErrorAt: time });
+    } else {
+      return;
+    }
+    await this.save();
+  }
+}
@@ -0,0 +1,190 @@
+import http from 'http';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { CancelledError } from './errors.js';
+import { logger } from './logger.js';
+import { send, listen, close } from './localServer.js';
+
+// Largest answer body accepted, an answer is a few characters
+const MAX_BODY = 4096;
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Dawn captcha</title>
+<style>
+  body { font-family: sans-serif; max-width: 480px; margin: 40px auto; color: #222; }
+  img { display: block; min-width: 300px; margin: 16px 0; border: 1px solid #ccc; image-rendering: pixelated; }
+  input { font-size: 24px; width: 10em; letter-spacing: 4px; }
+  button { font-size: 20px; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>Dawn captcha</h1>
+<div id="captcha" hidden>
+  <p><strong id="account"></strong> <span class="muted" id="position"></span></p>
+  <img id="image" alt="captcha">
+  <form id="form">
+    <input id="answer" autocomplete="off" autofocus required>
+    <button>Submit</button>
+  </form>
+</div>
+<p id="idle" class="muted">No captcha is waiting, this page updates by itself.</p>
+<script>
+let current = null;
+async function refresh() {
+  const captchas = await fetch('/captchas').then(response => response.json()).catch(() => []);
+  const first = captchas[0];
+  document.getElementById('idle').hidden = Boolean(first);
+  document.getElementById('captcha').hidden = !first;
+  if (!first) {
+    current = null;
+    return;
+  }
+  document.getElementById('position').textContent = 'position ' + first.position + ' of ' + captchas.length + ' in the queue';
+  if (first.id !== current) {
+    current = first.id;
+    document.getElementById('account').textContent = first.account || 'unknown account';
+    document.getElementById('image').src = '/captchas/' + first.id + '/image';
+    document.getElementById('answer').value = '';
+    document.getElementById('answer').focus();
+  }
+}
+document.getElementById('form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  await fetch('/captchas/' + current, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ answer: document.getElementById('answer').value })
+  });
+  refresh();
+});
+refresh();
+setInterval(refresh, 2000);
+</script>
+</body>
+</html>
+`;
+
+// Read a small request body as JSON or a urlencoded form
+function readAnswer(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        const fields = req.headers['content-type']?.includes('application/json')
+          ? JSON.parse(body)
+          : Object.fromEntries(new URLSearchParams(body));
+        resolve(typeof fields.answer === 'string' ? fields.answer.trim() : '');
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+// Local web page for the manual solver: shows the waiting captchas one at a time with their account
+// and queue position, and hands each answer typed into the page back to the login waiting for it.
+export class CaptchaPage {
+  constructor({ host = '127.0.0.1', port = 0 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.queue = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => send(res, 500, { error: error.message }));
+    });
+  }
+
+  // Start serving, resolves with the page URL
+  async listen() {
+    this.url = await listen(this.server, this.host, this.port);
+    return this.url;
+  }
+
+  // Stop serving, cancelling every captcha still waiting
+  close() {
+    for (const entry of this.queue.splice(0)) {
+      entry.reject(new CancelledError('Captcha page was closed'));
+    }
+    return close(this.server);
+  }
+
+  // Queue a captcha image (PNG buffer) and resolve with the answer typed in for it
+  ask(image, { account, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError('Captcha request was cancelled'));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { id: crypto.randomUUID(), account, image };
+      const onAbort = () => {
+        this.remove(entry);
+        reject(new CancelledError('Captcha request was cancelled'));
+      };
+      entry.resolve = (answer) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(answer);
+      };
+      entry.reject = (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(entry);
+      logger.info(chalk.cyan(`\nCaptcha ${this.queue.length} in the queue, answer it at ${this.url}`));
+    });
+  }
+
+  remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index >= 0) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  // Waiting captchas in answer order
+  list() {
+    return this.queue.map(({ id, account }, index) => ({ id, account, position: index + 1 }));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const [, collection, id, part] = pathname.split('/');
+
+    if (req.method === 'GET' && pathname === '/') {
+      return send(res, 200, PAGE, 'text/html; charset=utf-8');
+    }
+    if (collection !== 'captchas') {
+      return send(res, 404, { error: 'Not found' });
+    }
+    if (req.method === 'GET' && !id) {
+      return send(res, 200, this.list());
+    }
+
+    const entry = this.queue.find(item => item.id === id);
+    if (!entry) {
+      return send(res, 404, { error: 'No such captcha, it may have been answered or abandoned' });
+    }
+    if (req.method === 'GET' && part === 'image') {
+      return send(res, 200, entry.image, 'image/png');
+    }
+    if (req.method === 'POST' && !part) {
+      const answer = await readAnswer(req);
+      if (!answer) {
+        return send(res, 400, { error: 'The answer is empty' });
+      }
+      this.remove(entry);
+      entry.resolve(answer);
+      return send(res, 200, { ok: true });
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+}
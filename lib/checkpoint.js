@@ -0,0 +1,95 @@
+import fs from 'fs-extra';
+import { createRunId } from './results.js';
+
+// Run progress saved after every account so an interrupted run can be picked up again
+export class Checkpoint {
+  constructor(filePath, state) {
+    this.filePath = filePath;
+    this.state = state;
+  }
+
+  // Load the saved state, null when there is none
+  static async load(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+    return new Checkpoint(filePath, await fs.readJson(filePath));
+  }
+
+  // Start tracking a run, keeping the accounts already done when it continues an earlier one
+  static start(filePath, runId, previous) {
+    const now = new Date().toISOString();
+    return new Checkpoint(filePath, {
+      runId,
+      startedAt: previous?.state.runId === runId ? previous.state.startedAt : now,
+      updatedAt: now,
+      finished: false,
+      accounts: previous?.state.runId === runId ? previous.state.accounts : {}
+    });
+  }
+
+  get runId() {
+    return this.state.runId;
+  }
+
+  get finished() {
+    return this.state.finished;
+  }
+
+  // Write through a temporary file so a crash never leaves half a checkpoint
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeJson(tempPath, this.state, { spaces: 2 });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+
+  async markAccount(email, outcome) {
+    this.state.accounts[email] = { outcome, time: new Date().toISOString() };
+    await this.save();
+  }
+
+  async finish() {
+    this.state.finished = true;
+    await this.save();
+  }
+}
+
+// Decide which accounts a run covers.
+// mode 'resume' skips accounts with a success newer than freshSince, 'only-failed' keeps accounts whose latest attempt failed.
+export async function planRun(credentials, { mode, checkpointFile, results, freshSince }) {
+  const previous = await Checkpoint.load(checkpointFile);
+  const latest = await results.latestByAccount();
+
+  if (mode === 'resume') {
+    const runId = previous && !previous.finished ? previous.runId : createRunId();
+    const isFresh = (email) => {
+      const done = previous?.state.accounts[email];
+      const recorded = latest.get(email);
+      return (done?.outcome === 'success' && new Date(done.time) >= freshSince) ||
+        (recorded?.outcome === 'success' && new Date(recorded.time) >= freshSince);
+    };
+    return {
+      runId,
+      resumed: runId === previous?.runId,
+      checkpoint: Checkpoint.start(checkpointFile, runId, previous),
+      accounts: credentials.filter(({ email }) => !isFresh(email)),
+      skipped: credentials.filter(({ email }) => isFresh(email))
+    };
+  }
+
+  const runId = createRunId();
+  const checkpoint = Checkpoint.start(checkpointFile, runId);
+  if (mode === 'only-failed') {
+    const failed = ({ email }) => latest.get(email)?.outcome === 'failure';
+    return {
+      runId,
+      resumed: false,
+      checkpoint,
+      accounts: credentials.filter(failed),
+      skipped: credentials.filter(credential => !failed(credential))
+    };
+  }
+
+  return { runId, resumed: false, checkpoint, accounts: credentials, skipped: [] };
+}
@@ -0,0 +1,1133 @@
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { createInterface } from 'readline';
+import os from 'os';
+import path from 'path';
+import { DawnClient, generateAppId, pointsBreakdown } from './dawnClient.js';
+import { createSolver } from './solvers.js';
+import { importCredentials, printImportReport, appendCredential, removeCredential, checkCredential } from './credentials.js';
+import { AccountRegistry, parseTags } from './accounts.js';
+import { runLogins, formatDelta } from './runner.js';
+import { PointsHistory, REPORT_FORMATS, buildPointsReport, renderPointsReport } from './points.js';
+import { createTokenStore, FileTokenStore } from './tokenStore.js';
+import { ResultsStore, OUTCOMES, createRunId, parseTime, recordsToCsv } from './results.js';
+import { planRun } from './checkpoint.js';
+import { RunControl } from './control.js';
+import { CaptchaPage } from './captchaPage.js';
+import { Dashboard } from './dashboard.js';
+import { Notifier, describeEvent } from './notifiers.js';
+import { logger } from './logger.js';
+import { Vault } from './vault.js';
+import { CancelledError } from './errors.js';
+import { sleep } from './transport.js';
+import { parseInterval, parseQuietHours, isQuietTime, formatQuietEnd } from './daemon.js';
+import { loadConfig, ConfigError } from './config.js';
+import { compareVersions, loadProfile } from './profile.js';
+
+// How each solver's API key is called in prompts and errors
+const KEY_NAMES = {
+  '2captcha': '2captcha',
+  'anticaptcha': 'Anti-Captcha',
+  'gemini': 'Gemini',
+  'telegram': 'Telegram Bot'
+};
+
+function usage(name) {
+  return `
+Usage: node ${name} [command] [options]
+
+Commands:
+  login                     Log in every account from the credentials file (default)
+      --resume              Continue the last run, skipping accounts with a fresh success
+      --only-failed         Retry only the accounts whose latest attempt failed
+  points                    Show and record the points breakdown of every stored token
+  validate                  Check every stored token and log in again where it expired
+      --check-only          Only check and mark the tokens, never log in
+  daemon                    Keep running: check every stored token on a schedule and log in
+                            again only the accounts whose token expired
+      --once                Run a single tick and exit
+  credentials               Check the credentials file and report every line
+  accounts [list]           List accounts with their tags, notes and latest outcome
+  accounts add <email> [password]
+                            Add an account, or set the tags and notes of a known one
+  accounts remove <email>   Remove an account from the credentials and the registry
+  accounts enable <email>   Take an account into login runs again
+  accounts disable <email>  Leave an account out of login runs
+  preflight                 Check credentials, output files, solver and API reachability
+                            without logging in (also: login --dry-run)
+  results [query]           List recorded login attempts, filtered by the flags below
+  results export [file]     Write the matching attempts as CSV or JSON
+  report [file]             Points per account with changes between runs, as CSV, JSON or HTML
+  vault init                Create an encrypted vault
+  vault import [file]       Move credentials and stored tokens into the vault
+  vault export [file]       Write the vault's credentials as email:password lines
+  vault set-key <name> [key] Store a solver or Telegram API key in the vault
+  vault list                Show what the vault holds, without secrets
+  profile [show]            Show the API profile in use
+  profile check             Probe the profile's endpoints and compare its extension version
+                            with the one the server reports
+
+Options:
+  -s, --solver <type>       Captcha solver: 2captcha, anticaptcha, gemini, manual, telegram
+  -k, --api-key <key>       API key for the solver (bot token for telegram)
+  -c, --config <file>       JSON config file (default: dawn.config.json)
+      --credentials <file>  Credentials file (default: file.txt)
+      --credentials-format <f> auto, colon, csv or json (default: from the extension)
+      --tokens-file <file>  Where issued tokens are kept (default: tokens.json)
+      --results-file <file> Log of every login attempt (default: results.jsonl)
+      --checkpoint-file <file> Run progress, saved after every account (default: run-state.json)
+      --points-file <file>  Points breakdown history (default: points-history.jsonl)
+      --fresh-for <duration> How long a success counts as fresh for --resume (default: 24h)
+      --account-delay <ms>  Pause between accounts
+      --retry-delay <ms>    Initial pause between login attempts
+      --max-attempts <n>    Cap on login attempts per account (default: 10), on top of
+                            the per-category retryPolicies from the config file
+      --request-timeout <ms> Abort an API request that takes longer (default: 30000, 0 for none)
+  -p, --profile <name|file> API profile: a bundled name or a JSON file (default: aeropres)
+      --base-url <url>      API base URL, overrides the profile's
+      --telegram-chat-id <id> Chat used by the Telegram bot
+      --telegram-allow <ids> Comma separated chat or user IDs the bot listens to
+      --captcha-port <port> Serve the manual solver's captchas on a local web page
+                            instead of prompting (0 picks a free port)
+      --captcha-host <host> Address the captcha page listens on (default: 127.0.0.1)
+      --dashboard-port <port> Serve a status dashboard and REST API during runs
+                            (0 picks a free port)
+      --dashboard-host <host> Address the dashboard listens on (default: 127.0.0.1)
+      --interval <duration> Time between daemon ticks: 45s, 30m, 2h... (default: 1h)
+      --quiet-hours <range> Local time range without daemon ticks, e.g. 23:00-07:00
+      --max-logins-per-tick <n> Cap on daemon logins per tick, the rest wait for the next one
+      --vault <file>        Encrypted vault, used when it exists (default: dawn.vault)
+      --accounts-file <file> Account registry with enabled, tags, notes and latest outcome
+                            (default: accounts.json)
+      --log-level <level>   debug, info, warn or error (default: info)
+      --log-format <format> text or json (default: text)
+      --log-file <file>     Also write the log to a file, rotated at 5 MB
+  -h, --help                Show this help
+
+Account flags:
+      --tags <tags>         Comma separated: login, validate, daemon and accounts list only take
+                            accounts with one of the tags, accounts add sets them
+      --notes <text>        Notes for accounts add
+
+Results filters:
+      --since <when>        Attempts since a date or a duration ago (30m, 12h, 7d)
+      --until <when>        Attempts up to a date or a duration ago
+      --outcome <outcome>   success, failure or abandoned
+      --account <email>     One account only
+      --category <name>     One error category only
+      --run <id|last>       One run only
+      --format <format>     Export format: csv or json for results (default: csv),
+                            csv, json or html for report (default: from the file name, else json)
+
+Every option can also be set in the config file or through DAWN_* environment variables.
+The vault passphrase is read from DAWN_VAULT_PASSPHRASE.
+Prompts are only shown for missing values when running in a terminal.`;
+}
+
+// Prompts are only allowed when a person is at the keyboard
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+// Passphrase for an existing vault, from the environment or a hidden prompt
+async function vaultPassphrase(config, promptSecret) {
+  if (process.env.DAWN_VAULT_PASSPHRASE) {
+    return process.env.DAWN_VAULT_PASSPHRASE;
+  }
+  if (!isInteractive()) {
+    throw new ConfigError(`Vault ${config.vault} is locked, set DAWN_VAULT_PASSPHRASE`);
+  }
+  return promptSecret(`Enter the passphrase for ${config.vault}: `);
+}
+
+// Passphrase for a new vault, asked twice when typed in
+async function newVaultPassphrase(config, promptSecret) {
+  if (process.env.DAWN_VAULT_PASSPHRASE) {
+    return process.env.DAWN_VAULT_PASSPHRASE;
+  }
+  if (!isInteractive()) {
+    throw new ConfigError('Set DAWN_VAULT_PASSPHRASE to create a vault without a terminal');
+  }
+  const passphrase = await promptSecret(`Choose a passphrase for ${config.vault}: `);
+  if (passphrase !== await promptSecret('Repeat the passphrase: ')) {
+    throw new ConfigError('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+// Unlock the vault when its file exists, otherwise run without one
+async function openVault(config, promptSecret) {
+  if (!await fs.pathExists(config.vault)) {
+    return null;
+  }
+  return Vault.open(config.vault, await vaultPassphrase(config, promptSecret));
+}
+
+// Fill in the solver and API key, asking for them only when missing and interactive
+async function resolveSolver(config, frontEnd, prompt, vault) {
+  if (!config.solver) {
+    if (!isInteractive()) {
+      throw new ConfigError('No captcha solver configured, pass --solver or set DAWN_SOLVER');
+    }
+    console.log(chalk.cyan('\nChoose your captcha solver:'));
+    frontEnd.menu.forEach((item, index) => console.log(`${index + 1}. ${item.label}`));
+
+    const choices = frontEnd.menu.map((_, index) => index + 1);
+    const solverChoice = await prompt(`Enter your choice (${choices.slice(0, -1).join(', ')}, or ${choices.at(-1)}): `);
+    config.solver = frontEnd.menu[Number(solverChoice) - 1]?.type || 'manual';
+  }
+  const solvers = frontEnd.menu.map(({ type }) => type);
+  if (!solvers.includes(config.solver)) {
+    throw new ConfigError(`The ${config.solver} solver is not available in ${frontEnd.name}, use one of: ${solvers.join(', ')}`);
+  }
+
+  if (config.solver !== 'manual' && !config.apiKey) {
+    config.apiKey = vault?.getSecret(config.solver);
+  }
+  if (config.solver !== 'manual' && !config.apiKey) {
+    if (!isInteractive()) {
+      throw new ConfigError(`The ${config.solver} solver needs an API key, pass --api-key or set DAWN_API_KEY`);
+    }
+    config.apiKey = await prompt(`Enter your ${KEY_NAMES[config.solver]} API key: `);
+  }
+  logger.addSecret(config.apiKey);
+}
+
+// Accounts from the vault when it holds any, else from the credentials file with its report
+async function loadAccounts(config, vault) {
+  if (vault?.accounts.length) {
+    return vault.accounts;
+  }
+  const result = await importCredentials(config.credentials, { format: config.credentialsFormat });
+  printImportReport(config.credentials, result);
+  return result.accounts;
+}
+
+// Leave out disabled accounts and, with --tags, the accounts carrying none of the tags
+async function selectAccounts(config, credentials, flags) {
+  const registry = await AccountRegistry.load(config.accountsFile);
+  const tags = parseTags(flags.tags);
+  const { selected, disabled, untagged } = registry.select(credentials, { tags });
+  if (disabled.length) {
+    logger.info(chalk.gray(`Leaving out ${disabled.length} disabled account(s): ${disabled.join(', ')}`));
+  }
+  if (untagged.length) {
+    logger.info(chalk.gray(`Leaving out ${untagged.length} account(s) tagged with none of: ${tags.join(', ')}`));
+  }
+  return { registry, accounts: selected };
+}
+
+// Serve the manual solver's captchas on a local web page when a captcha port is configured
+async function openCaptchaPage(config) {
+  if (config.solver !== 'manual' || config.captchaPort === undefined) {
+    return null;
+  }
+  const page = new CaptchaPage({ host: config.captchaHost, port: config.captchaPort });
+  const url = await page.listen();
+  logger.info(chalk.cyan(`\nCaptcha page: ${url}`));
+  return page;
+}
+
+// Serve the status dashboard for a run when a dashboard port is configured
+async function openDashboard(config, options) {
+  if (config.dashboardPort === undefined) {
+    return null;
+  }
+  const dashboard = new Dashboard({ ...options, host: config.dashboardHost, port: config.dashboardPort });
+  const url = await dashboard.listen();
+  logger.info(chalk.cyan(`\nDashboard: ${url}`));
+  return dashboard;
+}
+
+// Stop the run cleanly on SIGINT or SIGTERM: the current account is abandoned and recorded,
+// the summary is still written and sent. A second signal exits at once.
+function watchShutdownSignals(control, action = 'abandoning the current account and stopping') {
+  const controller = new AbortController();
+  const onSignal = (signal) => {
+    if (controller.signal.aborted) {
+      logger.error(chalk.red(`\nReceived ${signal} again, exiting without finishing the run`));
+      process.exit(128 + os.constants.signals[signal]);
+    }
+    logger.warn(chalk.yellow(`\nReceived ${signal}, ${action} (repeat to exit at once)`));
+    controller.abort(signal);
+    control?.stop(`interrupted by ${signal}`);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return {
+    signal: controller.signal,
+    remove() {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    }
+  };
+}
+
+// Exit code of a login run: 128 + the signal number when interrupted, 1 when an account failed
+function runExitCode({ failed, interrupted }) {
+  if (interrupted) {
+    return 128 + os.constants.signals[interrupted];
+  }
+  return failed ? 1 : 0;
+}
+
+// Resolve the solver and log the given accounts in, keeping each outcome in the registry when given one.
+// Resolves to the run summary, with interrupted set to the signal name when one stopped it.
+// Only login passes a checkpoint, so validate and daemon runs leave the last login run resumable.
+// Aborting signal stops the run too, the daemon passes its own so a signal caught before the run still stops it.
+async function startRun(config, { frontEnd, prompt, client }, vault, accounts, { checkpoint, registry, signal } = {}) {
+  const runId = checkpoint?.runId || createRunId();
+  await resolveSolver(config, frontEnd, prompt, vault);
+  const control = new RunControl();
+  const shutdown = watchShutdownSignals(control);
+  const onAbort = () => control.stop(`interrupted by ${signal.reason}`);
+  if (signal?.aborted) {
+    onAbort();
+  }
+  signal?.addEventListener('abort', onAbort);
+  const tokens = createTokenStore(config, vault);
+  const results = new ResultsStore(config.resultsFile);
+  let captchaPage;
+  let dashboard;
+  try {
+    let solverOptions;
+    try {
+      solverOptions = frontEnd.setup ? await frontEnd.setup(config, { control, signal: shutdown.signal }) : {};
+    } catch (error) {
+      if (error instanceof CancelledError && shutdown.signal.aborted) {
+        logger.warn(chalk.yellow(error.message));
+        return { runId, successful: 0, failed: 0, skipped: 0, stopped: true, failures: {}, interrupted: shutdown.signal.reason };
+      }
+      throw error;
+    }
+    captchaPage = await openCaptchaPage(config);
+    dashboard = await openDashboard(config, { control, client, tokens, results });
+    const solver = await createSolver(config.solver, config.apiKey, { prompt, captchaPage, ...solverOptions });
+
+    const summary = await runLogins(accounts, {
+      client,
+      solver,
+      config,
+      tokens,
+      results,
+      history: new PointsHistory(config.pointsFile),
+      checkpoint,
+      control,
+      runId,
+      notify: async (event) => {
+        // The registry is bookkeeping, failing to write it never fails the login it describes
+        await registry?.record(event).catch(error => {
+          logger.error(chalk.red(`Error updating ${config.accountsFile}: ${error.message}`));
+        });
+        await frontEnd.notify(event);
+      }
+    });
+    return { ...summary, interrupted: shutdown.signal.aborted ? shutdown.signal.reason : null };
+  } finally {
+    shutdown.remove();
+    signal?.removeEventListener('abort', onAbort);
+    await captchaPage?.close();
+    await dashboard?.close();
+  }
+}
+
+// login: run every account through the captcha login
+async function loginCommand(config, context) {
+  const { flags, promptSecret } = context;
+  if (flags['dry-run']) {
+    return preflightCommand(config, context);
+  }
+  if (flags.resume && flags['only-failed']) {
+    throw new ConfigError('--resume and --only-failed cannot be combined');
+  }
+  let freshSince;
+  try {
+    freshSince = parseTime(config.freshFor);
+  } catch (error) {
+    throw new ConfigError(`Invalid fresh-for: ${error.message}`);
+  }
+
+  const vault = await openVault(config, promptSecret);
+  const { registry, accounts: credentials } = await selectAccounts(config, await loadAccounts(config, vault), flags);
+
+  if (credentials.length === 0) {
+    logger.error(chalk.red(`No valid${flags.tags ? ', enabled and tagged' : ' and enabled'} credentials found in ${vault?.accounts.length ? config.vault : config.credentials}`));
+    return 1;
+  }
+
+  const results = new ResultsStore(config.resultsFile);
+  const mode = flags.resume ? 'resume' : flags['only-failed'] ? 'only-failed' : 'all';
+  const plan = await planRun(credentials, { mode, checkpointFile: config.checkpointFile, results, freshSince });
+
+  if (plan.resumed) {
+    logger.info(chalk.cyan(`\nResuming run ${plan.runId}`));
+  }
+  for (const { email } of plan.skipped) {
+    logger.info(chalk.gray(`Skipping ${email}: ${mode === 'resume' ? 'fresh success recorded' : 'latest attempt did not fail'}`));
+  }
+  if (plan.accounts.length === 0) {
+    logger.info(chalk.green('\nNothing to do, every account is already covered'));
+    return 0;
+  }
+
+  return runExitCode(await startRun(config, context, vault, plan.accounts, { checkpoint: plan.checkpoint, registry }));
+}
+
+// Check every stored token against the points endpoint.
+// A token the server rejects with 401/403 is expired, other errors leave its state unknown.
+// Aborting signal ends the check early with the tokens checked so far.
+async function checkTokens(store, client, { signal } = {}) {
+  const tokens = await store.load();
+  if (tokens.size === 0) {
+    logger.error(chalk.red(`No stored tokens found in ${store.location}`));
+    return null;
+  }
+
+  const results = [];
+  for (const [email, token] of tokens) {
+    if (signal?.aborted) {
+      break;
+    }
+    logger.addSecret(token);
+    try {
+      const points = await client.fetchPoints(token, undefined, { signal });
+      results.push({ email, valid: true, points });
+    } catch (error) {
+      if (error instanceof CancelledError && signal?.aborted) {
+        break;
+      }
+      const expired = error.status === 401 || error.status === 403;
+      results.push({ email, valid: false, expired, error: error.message });
+    }
+  }
+  return results;
+}
+
+// Record a checked token's breakdown and describe the change since its previous snapshot
+async function recordPoints(history, runId, email, pointData) {
+  const breakdown = pointsBreakdown(pointData);
+  const previous = await history.previous(email);
+  await history.record(runId, email, breakdown);
+  return { breakdown, change: previous ? ` (${formatDelta(breakdown.total - previous.total)})` : '' };
+}
+
+// points: print and record the points breakdown behind every stored token
+async function pointsCommand(config, { client, promptSecret }) {
+  const store = createTokenStore(config, await openVault(config, promptSecret));
+  const results = await checkTokens(store, client);
+  if (!results) return 1;
+
+  const history = new PointsHistory(config.pointsFile);
+  const runId = createRunId();
+  let total = 0;
+  for (const result of results) {
+    if (result.valid) {
+      const { breakdown, change } = await recordPoints(history, runId, result.email, result.points);
+      total += breakdown.total;
+      logger.info(chalk.green(`✓ ${result.email}: ${breakdown.total}${change}`));
+      logger.info(chalk.gray(
+        `    commission ${breakdown.commission}, reward ${breakdown.rewardPoints}, register ${breakdown.registerPoints}, ` +
+        `twitter ${breakdown.twitterPoints}, discord ${breakdown.discordPoints}, telegram ${breakdown.telegramPoints}`
+      ));
+    } else {
+      logger.error(chalk.red(`✗ ${result.email}: ${result.error}`));
+    }
+  }
+  logger.info(chalk.cyan(`\nTotal points: ${total}`));
+  return 0;
+}
+
+// report: points per account and totals over time from the history
+async function reportCommand(config, { args, flags }) {
+  const [file] = args;
+  const extension = file ? path.extname(file).slice(1).toLowerCase() : '';
+  const format = flags.format || (REPORT_FORMATS.includes(extension) ? extension : 'json');
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new ConfigError(`Unknown report format "${format}", expected one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const snapshots = await new PointsHistory(config.pointsFile).readAll();
+  if (snapshots.length === 0) {
+    logger.error(chalk.red(`No points recorded yet in ${config.pointsFile}`));
+    return 1;
+  }
+
+  const output = renderPointsReport(buildPointsReport(snapshots), format);
+  if (file) {
+    await fs.writeFile(file, output);
+    logger.info(chalk.green(`✓ Wrote ${format} points report to ${file}`));
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+// validate: mark every stored token valid or expired, then log in again only where it expired
+async function validateCommand(config, context) {
+  const { client, flags, promptSecret } = context;
+  const vault = await openVault(config, promptSecret);
+  const store = createTokenStore(config, vault);
+  const results = await checkTokens(store, client);
+  if (!results) return 1;
+
+  const history = new PointsHistory(config.pointsFile);
+  const runId = createRunId();
+  for (const result of results) {
+    if (result.valid) {
+      await store.mark(result.email, 'valid');
+      const { breakdown, change } = await recordPoints(history, runId, result.email, result.points);
+      logger.info(chalk.green(`✓ ${result.email}: valid, ${breakdown.total} points${change}`));
+    } else if (result.expired) {
+      await store.mark(result.email, 'expired');
+      logger.info(chalk.yellow(`✗ ${result.email}: expired`));
+    } else {
+      logger.error(chalk.red(`✗ ${result.email}: ${result.error}`));
+    }
+  }
+
+  const valid = results.filter(result => result.valid).length;
+  const unknown = results.filter(result => !result.valid && !result.expired).length;
+  const expired = results.filter(result => result.expired).map(result => result.email);
+  logger.info(chalk.cyan(`\n${valid}/${results.length} tokens valid`));
+
+  if (expired.length === 0 || flags['check-only']) {
+    return valid === results.length ? 0 : 1;
+  }
+
+  const known = (await loadAccounts(config, vault)).filter(({ email }) => expired.includes(email));
+  const missing = expired.filter(email => !known.some(account => account.email === email));
+  for (const email of missing) {
+    logger.error(chalk.red(`✗ ${email}: token expired but no credentials found to log in again`));
+  }
+  const { registry, accounts } = await selectAccounts(config, known, flags);
+  if (accounts.length === 0) {
+    return 1;
+  }
+
+  logger.info(chalk.cyan(`\nLogging in again ${accounts.length} accounts with expired tokens`));
+  const summary = await startRun(config, context, vault, accounts, { registry });
+  if (summary.interrupted) {
+    return runExitCode(summary);
+  }
+  return summary.failed === 0 && missing.length === 0 && unknown === 0 ? 0 : 1;
+}
+
+// One daemon tick: check every stored token, mark it, and log in again up to maxLoginsPerTick
+// of the enabled accounts whose token expired. Resolves to the tick-end event, already sent.
+// Aborting signal stops the token check and any login run of the tick.
+async function daemonTick(config, context, vault, tick, signal) {
+  const { client, flags, frontEnd } = context;
+  const store = createTokenStore(config, vault);
+  const checks = await checkTokens(store, client, { signal }) || [];
+  for (const check of checks) {
+    if (check.valid || check.expired) {
+      await store.mark(check.email, check.valid ? 'valid' : 'expired');
+    }
+  }
+  const expired = checks.filter(check => check.expired).map(check => check.email);
+  for (const email of expired) {
+    logger.info(chalk.yellow(`✗ ${email}: expired`));
+  }
+
+  let accounts = [];
+  let registry;
+  if (expired.length) {
+    const known = (await loadAccounts(config, vault)).filter(({ email }) => expired.includes(email));
+    for (const email of expired.filter(email => !known.some(account => account.email === email))) {
+      logger.error(chalk.red(`✗ ${email}: token expired but no credentials found to log in again`));
+    }
+    ({ registry, accounts } = await selectAccounts(config, known, flags));
+  }
+
+  const due = accounts.slice(0, config.maxLoginsPerTick);
+  let summary = { successful: 0, failed: 0 };
+  if (due.length && !signal?.aborted) {
+    logger.info(chalk.cyan(`\nLogging in again ${due.length} accounts with expired tokens`));
+    summary = await startRun(config, context, vault, due, { registry, signal });
+  }
+
+  const event = {
+    type: 'tick-end',
+    tick,
+    checked: checks.length,
+    valid: checks.filter(check => check.valid).length,
+    expired: expired.length,
+    successful: summary.successful,
+    failed: summary.failed,
+    deferred: accounts.length - (signal?.aborted ? 0 : due.length)
+  };
+  logger.info(chalk.cyan(`\n${describeEvent(event)}`));
+  await frontEnd.notify(event);
+  return event;
+}
+
+// daemon: run a tick every daemonInterval, outside the quiet hours, until stopped by a signal
+async function daemonCommand(config, context) {
+  const { flags, frontEnd, prompt, promptSecret } = context;
+  let interval;
+  let quietHours;
+  try {
+    interval = parseInterval(config.daemonInterval);
+    quietHours = config.quietHours ? parseQuietHours(config.quietHours) : null;
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const vault = await openVault(config, promptSecret);
+  // Ask for the solver now rather than at the first expired token
+  await resolveSolver(config, frontEnd, prompt, vault);
+  const shutdown = watchShutdownSignals(null, 'stopping the daemon');
+  try {
+    try {
+      // Start the front-end up front so tick summaries reach it before any login
+      await frontEnd.setup?.(config, { control: new RunControl(), signal: shutdown.signal });
+    } catch (error) {
+      if (error instanceof CancelledError && shutdown.signal.aborted) {
+        logger.warn(chalk.yellow(error.message));
+        return 0;
+      }
+      if (error instanceof ConfigError) {
+        throw error;
+      }
+      // Each run sets the front-end up again, a later tick may get through
+      logger.error(chalk.red(`Front-end setup failed, trying again at the next login: ${error.message}`));
+    }
+
+    logger.info(chalk.cyan(`Daemon started, checking tokens every ${config.daemonInterval}` +
+      `${quietHours ? ` outside the quiet hours ${config.quietHours}` : ''}`));
+    let failed = false;
+    for (let tick = 1; !shutdown.signal.aborted; tick++) {
+      if (quietHours && isQuietTime(quietHours)) {
+        logger.info(chalk.gray(`Tick ${tick}: quiet hours until ${formatQuietEnd(quietHours)}, skipping`));
+      } else {
+        // A failing tick is reported and the next one still runs, only configuration errors stop the daemon
+        try {
+          failed = (await daemonTick(config, context, vault, tick, shutdown.signal)).failed > 0;
+        } catch (error) {
+          if (error instanceof ConfigError) {
+            throw error;
+          }
+          failed = true;
+          const event = { type: 'tick-end', tick, error: error.message };
+          logger.error(chalk.red(describeEvent(event)));
+          await context.frontEnd.notify(event);
+        }
+      }
+      if (flags.once || shutdown.signal.aborted) {
+        break;
+      }
+      logger.info(chalk.gray(`Next tick at ${new Date(Date.now() + interval).toLocaleTimeString()}`));
+      await sleep(interval, shutdown.signal).catch(error => {
+        if (!(error instanceof CancelledError)) throw error;
+      });
+    }
+    if (shutdown.signal.aborted) {
+      logger.info(chalk.cyan('Daemon stopped'));
+      return 0;
+    }
+    return failed ? 1 : 0;
+  } finally {
+    shutdown.remove();
+  }
+}
+
+// credentials: report on every line of the credentials file without logging in
+async function credentialsCommand(config) {
+  const result = await importCredentials(config.credentials, { format: config.credentialsFormat });
+  printImportReport(config.credentials, result);
+  return result.accounts.length === result.report.length ? 0 : 1;
+}
+
+// accounts: list, add, remove, enable and disable accounts with their registry metadata.
+// Credentials are edited in the vault when there is one, else in the credentials file.
+async function accountsCommand(config, { args, flags, promptSecret }) {
+  const [action = 'list', ...rest] = args;
+  const vault = await openVault(config, promptSecret);
+  const registry = await AccountRegistry.load(config.accountsFile);
+  const source = vault ? config.vault : config.credentials;
+  const credentials = vault
+    ? vault.accounts
+    : await fs.pathExists(config.credentials)
+      ? (await importCredentials(config.credentials, { format: config.credentialsFormat })).accounts
+      : [];
+  const hasCredentials = (email) => credentials.some(account => account.email === email);
+
+  if (action === 'list') {
+    const tags = parseTags(flags.tags);
+    const emails = [...new Set([...credentials.map(({ email }) => email), ...Object.keys(registry.accounts)])]
+      .filter(email => registry.matches(email, tags));
+    console.log(chalk.cyan(`Accounts in ${source}${tags.length ? ` tagged ${tags.join(', ')}` : ''}`));
+    for (const email of emails) {
+      const account = registry.get(email);
+      const last = account.lastLogin
+        ? chalk.green(`last login ${account.lastLogin}, ${account.lastPoints} points`)
+        : chalk.gray('never logged in');
+      console.log(`  ${account.enabled ? chalk.green('●') : chalk.gray('○ disabled')} ${email}` +
+        `${account.tags.length ? chalk.cyan(` [${account.tags.join(', ')}]`) : ''}  ${last}`);
+      if (account.lastError) {
+        console.log(chalk.red(`      last error ${account.lastErrorAt}: ${account.lastError}`));
+      }
+      if (account.notes) {
+        console.log(chalk.gray(`      ${account.notes}`));
+      }
+      if (!hasCredentials(email)) {
+        console.log(chalk.yellow(`      no credentials in ${source}`));
+      }
+    }
+    const enabled = emails.filter(email => registry.get(email).enabled).length;
+    console.log(chalk.cyan(`\n${emails.length} accounts, ${enabled} enabled`));
+    return 0;
+  }
+
+  const [email, password] = rest;
+  if (!email) {
+    throw new ConfigError(`Usage: accounts ${action === 'add' ? 'add <email> [password]' : `${action} <email>`}`);
+  }
+
+  if (action === 'add') {
+    const existing = hasCredentials(email);
+    if (!existing) {
+      if (!password && !isInteractive()) {
+        throw new ConfigError(`Pass the password for ${email} as an argument when running without a terminal`);
+      }
+      const secret = password || await promptSecret(`Enter the password for ${email}: `);
+      const problem = checkCredential(email, secret);
+      if (problem) {
+        throw new ConfigError(`Cannot add ${email}: ${problem}`);
+      }
+      if (vault) {
+        vault.importAccounts([{ email, password: secret }]);
+        await vault.save();
+      } else {
+        await appendCredential(config.credentials, { email, password: secret }, { format: config.credentialsFormat });
+      }
+    }
+    registry.update(email, {
+      ...(registry.has(email) ? {} : { addedAt: new Date().toISOString() }),
+      ...(flags.tags !== undefined ? { tags: parseTags(flags.tags) } : {}),
+      ...(flags.notes !== undefined ? { notes: flags.notes } : {})
+    });
+    await registry.save();
+    logger.info(chalk.green(existing ? `✓ Updated ${email}` : `✓ Added ${email} to ${source}`));
+    return 0;
+  }
+
+  if (!hasCredentials(email) && !registry.has(email)) {
+    logger.error(chalk.red(`Unknown account ${email}`));
+    return 1;
+  }
+
+  if (action === 'remove') {
+    if (vault) {
+      vault.removeAccount(email);
+      await vault.save();
+    } else {
+      await removeCredential(config.credentials, email, { format: config.credentialsFormat });
+    }
+    registry.remove(email);
+    await registry.save();
+    logger.info(chalk.green(`✓ Removed ${email} from ${source} and ${config.accountsFile}`));
+    return 0;
+  }
+
+  if (action === 'enable' || action === 'disable') {
+    registry.update(email, { enabled: action === 'enable' });
+    await registry.save();
+    logger.info(chalk.green(`✓ ${action === 'enable' ? 'Enabled' : 'Disabled'} ${email}`));
+    return 0;
+  }
+
+  throw new ConfigError(`Unknown accounts action: ${action}`);
+}
+
+// Prints a checklist line per check and counts the failed ones
+function createChecklist() {
+  const checklist = {
+    failed: 0,
+    report(ok, message) {
+      if (!ok) checklist.failed++;
+      console.log(ok ? chalk.green(`  ✓ ${message}`) : chalk.red(`  ✗ ${message}`));
+    },
+    note(message) {
+      console.log(chalk.yellow(`  ? ${message}`));
+    }
+  };
+  return checklist;
+}
+
+// Why a file cannot be written, or null when it can. Nothing is created:
+// a missing file is checked through the nearest directory that exists.
+async function unwritableReason(file) {
+  let target = path.resolve(file);
+  while (!await fs.pathExists(target)) {
+    target = path.dirname(target);
+  }
+  const stat = await fs.stat(target);
+  if (target !== path.resolve(file) && !stat.isDirectory()) {
+    return `${path.relative('.', target) || target} is not a directory`;
+  }
+  if (target === path.resolve(file) && stat.isDirectory()) {
+    return 'it is a directory';
+  }
+  try {
+    await fs.access(target, fs.constants.W_OK);
+    return null;
+  } catch {
+    return `${path.relative('.', target) || target} is not writable`;
+  }
+}
+
+// preflight: check everything a login run needs, fetching one puzzle but never logging in
+async function preflightCommand(config, { frontEnd, promptSecret, client }) {
+  const checklist = createChecklist();
+
+  console.log(chalk.cyan('Credentials'));
+  let vault = null;
+  try {
+    vault = await openVault(config, promptSecret);
+    if (vault) {
+      checklist.report(true, `vault ${config.vault} unlocked`);
+    }
+  } catch (error) {
+    checklist.report(false, `vault ${config.vault}: ${error.message}`);
+  }
+  let accounts = [];
+  if (vault?.accounts.length) {
+    accounts = vault.accounts;
+    checklist.report(true, `${accounts.length} account(s) in ${config.vault}`);
+  } else {
+    try {
+      const { format, report, accounts: accepted } = await importCredentials(config.credentials, { format: config.credentialsFormat });
+      accounts = accepted;
+      for (const entry of report.filter(entry => !entry.accepted)) {
+        checklist.report(false, `${config.credentials} line ${entry.line}: ${entry.reason}`);
+      }
+      checklist.report(accounts.length > 0, accounts.length
+        ? `${accounts.length} account(s) read from ${config.credentials} (${format})`
+        : `no valid credentials in ${config.credentials}`);
+    } catch (error) {
+      checklist.report(false, error.message);
+    }
+  }
+
+  console.log(chalk.cyan('Output files'));
+  const outputs = [
+    ['tokens', vault ? config.vault : config.tokensFile],
+    ['results', config.resultsFile],
+    ['checkpoint', config.checkpointFile],
+    ['accounts', config.accountsFile],
+    ['points history', config.pointsFile],
+    ['log', config.logFile],
+    ...config.notifiers.filter(({ type }) => type === 'file').map(({ path: file }) => ['notifications', file])
+  ];
+  for (const [name, file] of outputs.filter(([, file]) => file)) {
+    const reason = await unwritableReason(file);
+    checklist.report(!reason, reason ? `${name} file ${file} cannot be written: ${reason}` : `${name} file ${file} is writable`);
+  }
+
+  console.log(chalk.cyan('Captcha solver'));
+  const solvers = frontEnd.menu.map(({ type }) => type);
+  if (!config.solver) {
+    checklist.report(false, 'no captcha solver configured, pass --solver or set DAWN_SOLVER');
+  } else if (!solvers.includes(config.solver)) {
+    checklist.report(false, `the ${config.solver} solver is not available in ${frontEnd.name}, use one of: ${solvers.join(', ')}`);
+  } else if (config.solver === 'manual') {
+    checklist.report(true, config.captchaPort === undefined
+      ? 'manual solver, captchas are answered by hand'
+      : `manual solver, captchas are answered on the page at ${config.captchaHost}, port ${config.captchaPort || 'picked at start'}`);
+  } else {
+    const fromVault = !config.apiKey && vault?.getSecret(config.solver);
+    checklist.report(Boolean(config.apiKey || fromVault), config.apiKey || fromVault
+      ? `${config.solver} solver with its ${KEY_NAMES[config.solver]} API key${fromVault ? ` from ${config.vault}` : ''}`
+      : `the ${config.solver} solver needs an API key, pass --api-key, set DAWN_API_KEY or store it with vault set-key ${config.solver}`);
+    if (config.solver === 'telegram') {
+      const allowed = [...config.telegramAllow, ...(config.telegramChatId ? [String(config.telegramChatId)] : [])];
+      checklist.report(allowed.length > 0, allowed.length
+        ? `Telegram bot answers chat(s) ${allowed.join(', ')}`
+        : 'the Telegram bot needs an allow-list, pass --telegram-allow or --telegram-chat-id');
+    }
+  }
+
+  console.log(chalk.cyan(`API ${client.baseUrl} (profile ${client.profile.name})`));
+  try {
+    const appId = generateAppId();
+    const puzzleId = await client.getPuzzleId(appId);
+    await client.getPuzzleImage(puzzleId, appId);
+    checklist.report(true, `fetched puzzle ${puzzleId} and its image`);
+  } catch (error) {
+    checklist.report(false, `fetching a puzzle failed: ${error.message}`);
+  }
+
+  console.log(checklist.failed
+    ? chalk.red(`\n${checklist.failed} check(s) failed, fix them before logging in`)
+    : chalk.green(`\nReady to log in ${accounts.length} account(s)`));
+  return checklist.failed ? 1 : 0;
+}
+
+// Turn the results flags into a query
+function resultsQuery(flags) {
+  if (flags.outcome && !OUTCOMES.includes(flags.outcome)) {
+    throw new ConfigError(`Unknown outcome "${flags.outcome}", expected one of: ${OUTCOMES.join(', ')}`);
+  }
+  try {
+    return {
+      since: flags.since && parseTime(flags.since),
+      until: flags.until && parseTime(flags.until),
+      outcome: flags.outcome,
+      account: flags.account,
+      category: flags.category,
+      run: flags.run
+    };
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+}
+
+// results: query and export the attempts log
+async function resultsCommand(config, { args, flags }) {
+  const [action = 'query', file] = args;
+  const records = await new ResultsStore(config.resultsFile).query(resultsQuery(flags));
+
+  if (action === 'query') {
+    for (const record of records) {
+      const detail = record.outcome === 'success'
+        ? chalk.green(`success, ${record.points} points`)
+        : record.outcome === 'abandoned'
+          ? chalk.yellow(`abandoned, ${record.error}`)
+          : chalk.red(`failure [${record.errorCategory}] ${record.error}`);
+      console.log(`${record.time}  ${record.account}  attempt ${record.attempt}  ${detail}`);
+    }
+    console.log(chalk.cyan(`\n${records.length} attempts`));
+    return 0;
+  }
+
+  if (action === 'export') {
+    const format = flags.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      throw new ConfigError(`Unknown export format "${format}", expected csv or json`);
+    }
+    const output = format === 'csv' ? recordsToCsv(records) : `${JSON.stringify(records, null, 2)}\n`;
+    if (file) {
+      await fs.writeFile(file, output);
+      logger.info(chalk.green(`✓ Exported ${records.length} attempts to ${file}`));
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  }
+
+  throw new ConfigError(`Unknown results action: ${action}`);
+}
+
+// vault: create, fill, export and inspect the encrypted vault
+async function vaultCommand(config, { args, promptSecret }) {
+  const [action, ...rest] = args;
+
+  if (action === 'init') {
+    await Vault.create(config.vault, await newVaultPassphrase(config, promptSecret));
+    logger.info(chalk.green(`✓ Created vault ${config.vault}`));
+    return 0;
+  }
+
+  const vault = await openVault(config, promptSecret);
+  if (!vault) {
+    throw new ConfigError(`No vault found at ${config.vault}, create one with "vault init"`);
+  }
+
+  if (action === 'import') {
+    const file = rest[0] || config.credentials;
+    const result = await importCredentials(file, { format: config.credentialsFormat });
+    printImportReport(file, result);
+    const { added, updated } = vault.importAccounts(result.accounts);
+    const tokens = await new FileTokenStore(config.tokensFile).load();
+    for (const [email, token] of tokens) {
+      vault.setToken(email, token);
+    }
+    await vault.save();
+
+    logger.info(chalk.green(`✓ Imported ${added} new and ${updated} updated accounts from ${file}`));
+    logger.info(chalk.green(`✓ Imported ${tokens.size} tokens from ${config.tokensFile}`));
+    logger.warn(chalk.yellow(`Delete ${file} and ${config.tokensFile} once you have checked the vault.`));
+    return 0;
+  }
+
+  if (action === 'export') {
+    const lines = vault.accounts.map(({ email, password }) => `${email}:${password}\n`).join('');
+    if (rest[0]) {
+      await fs.writeFile(rest[0], lines, { mode: 0o600 });
+      logger.info(chalk.green(`✓ Exported ${vault.accounts.length} accounts to ${rest[0]}`));
+    } else {
+      process.stdout.write(lines);
+    }
+    return 0;
+  }
+
+  if (action === 'set-key') {
+    const [name, value] = rest;
+    if (!name) {
+      throw new ConfigError('Usage: vault set-key <name> [key]');
+    }
+    if (!value && !isInteractive()) {
+      throw new ConfigError(`Pass the key for ${name} as an argument when running without a terminal`);
+    }
+    vault.setSecret(name, value || await promptSecret(`Enter the ${KEY_NAMES[name] || name} API key: `));
+    await vault.save();
+    logger.info(chalk.green(`✓ Stored ${name} key in ${config.vault}`));
+    return 0;
+  }
+
+  if (action === 'list') {
+    console.log(chalk.cyan(`Vault ${config.vault}`));
+    for (const { email } of vault.accounts) {
+      const token = vault.tokens[email];
+      console.log(`  ${email}${token ? chalk.green(` (token issued ${token.issuedAt})`) : ''}`);
+    }
+    console.log(chalk.cyan(`Keys: ${Object.keys(vault.secrets).join(', ') || 'none'}`));
+    return 0;
+  }
+
+  throw new ConfigError(`Unknown vault action: ${action || '(none)'}`);
+}
+
+// profile: show the active API profile, or check it against what the server reports
+async function profileCommand(config, { args, client }) {
+  const [action = 'show'] = args;
+  const { profile } = client;
+
+  if (action === 'show') {
+    console.log(chalk.cyan(`API profile ${profile.name} (${profile.source})`));
+    console.log(`  Base URL: ${client.baseUrl}`);
+    console.log(`  Extension version: ${profile.extensionVersion}`);
+    for (const [key, endpointPath] of Object.entries(profile.endpoints)) {
+      console.log(`  ${key}: ${endpointPath}`);
+    }
+    console.log(`  Headers: ${Object.keys(profile.headers).join(', ')}`);
+    return 0;
+  }
+
+  if (action !== 'check') {
+    throw new ConfigError(`Unknown profile action: ${action}`);
+  }
+
+  console.log(chalk.cyan(`Checking API profile ${profile.name} against ${client.baseUrl}`));
+  const checklist = createChecklist();
+  const report = checklist.report;
+
+  const appId = generateAppId();
+  let puzzleId;
+  try {
+    puzzleId = (await client.request('puzzle', { query: { appid: appId }, retries: 1 })).puzzle_id;
+    report(true, `${client.endpoint('puzzle').name} responds as declared`);
+  } catch (error) {
+    report(false, `${client.endpoint('puzzle').name}: ${error.message}`);
+  }
+  if (puzzleId) {
+    try {
+      await client.request('image', { query: { puzzle_id: puzzleId, appid: appId }, retries: 1 });
+      report(true, `${client.endpoint('image').name} responds as declared`);
+    } catch (error) {
+      report(false, `${client.endpoint('image').name}: ${error.message}`);
+    }
+  }
+
+  try {
+    const serverVersion = await client.getServerVersion();
+    if (serverVersion === null) {
+      checklist.note(`extension version ${profile.extensionVersion} not compared, the profile declares no version endpoint` +
+        ' (the Dawn API has none, compare it with the Chrome Web Store listing by hand)');
+    } else if (compareVersions(profile.extensionVersion, serverVersion) < 0) {
+      report(false, `extension version ${profile.extensionVersion} is out of date, the server reports ${serverVersion}`);
+    } else {
+      report(true, `extension version ${profile.extensionVersion} is current (server reports ${serverVersion})`);
+    }
+  } catch (error) {
+    report(false, `extension version: ${error.message}`);
+  }
+
+  console.log(checklist.failed ? chalk.red(`\n${checklist.failed} check(s) failed, update ${profile.source}`) : chalk.green('\nProfile is up to date'));
+  return checklist.failed ? 1 : 0;
+}
+
+const COMMANDS = {
+  login: loginCommand,
+  points: pointsCommand,
+  validate: validateCommand,
+  daemon: daemonCommand,
+  credentials: credentialsCommand,
+  accounts: accountsCommand,
+  preflight: preflightCommand,
+  results: resultsCommand,
+  report: reportCommand,
+  vault: vaultCommand,
+  profile: profileCommand
+};
+
+// Run a front-end: parse argv, dispatch the command and resolve to the process exit code.
+// frontEnd: { name, menu: [{ label, type }], defaults, setup(config, { control, signal }), notify(event), cleanup() }
+export async function runCli(argv, frontEnd) {
+  let readline;
+  let muted = false;
+  const prompt = (query, { signal } = {}) => {
+    if (!readline) {
+      readline = createInterface({ input: process.stdin, output: process.stdout });
+      // Keep typed secrets off the screen
+      readline._writeToOutput = (text) => {
+        if (!muted) readline.output.write(text);
+      };
+      // Ctrl+C at a prompt reaches readline rather than the process, pass it on
+      readline.on('SIGINT', () => process.kill(process.pid, 'SIGINT'));
+    }
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CancelledError('Prompt was cancelled'));
+        return;
+      }
+      signal?.addEventListener('abort', () => reject(new CancelledError('Prompt was cancelled')), { once: true });
+      readline.question(query, { signal }, resolve);
+    });
+  };
+  const promptSecret = async (query) => {
+    process.stdout.write(query);
+    muted = true;
+    try {
+      return await prompt('');
+    } finally {
+      muted = false;
+      process.stdout.write('\n');
+    }
+  };
+  let notifier = new Notifier([], { frontEnd: frontEnd.notify });
+  const notify = (event) => notifier.notify(event);
+
+  try {
+    const { command, args, flags, help, config } = await loadConfig(argv, { defaults: frontEnd.defaults });
+    logger.configure({ level: config.logLevel, format: config.logFormat, file: config.logFile, maxSize: config.logMaxSize, maxFiles: config.logMaxFiles });
+    logger.addSecret(config.apiKey);
+    notifier = new Notifier(config.notifiers, { frontEnd: frontEnd.notify });
+    if (help || command === 'help') {
+      console.log(usage(frontEnd.name));
+      return 0;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new ConfigError(`Unknown command: ${command}`);
+    }
+
+    const profile = await loadProfile(config.profile);
+    const client = new DawnClient({ profile, baseUrl: config.baseUrl, timeout: config.requestTimeout });
+    return await handler(config, { frontEnd: { ...frontEnd, notify }, args, flags, prompt, promptSecret, client });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      logger.error(chalk.red(error.message));
+      console.log(usage(frontEnd.name));
+      return 2;
+    }
+    logger.error(chalk.red(`Fatal error: ${error.message}`));
+    await notify({ type: 'fatal', error: error.message });
+    return 1;
+  } finally {
+    readline?.close();
+    await frontEnd.cleanup?.();
+  }
+}
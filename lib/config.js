@@ -0,0 +1,260 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import fs from 'fs-extra';
+import { SOLVER_TYPES } from './solvers.js';
+import { CREDENTIAL_FORMATS } from './credentials.js';
+import { ERROR_CATEGORIES } from './errors.js';
+import { checkNotifierConfig } from './notifiers.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+
+export const DEFAULT_CONFIG_FILE = 'dawn.config.json';
+
+export const DEFAULTS = {
+  solver: undefined,
+  apiKey: undefined,
+  credentials: 'file.txt',
+  credentialsFormat: 'auto',
+  tokensFile: 'tokens.json',
+  resultsFile: 'results.jsonl',
+  checkpointFile: 'run-state.json',
+  accountsFile: 'accounts.json',
+  pointsFile: 'points-history.jsonl',
+  freshFor: '24h',
+  accountDelay: 2000,
+  retryDelay: 5000,
+  maxAttempts: 10,
+  retryPolicies: {},
+  requestTimeout: 30000,
+  profile: 'aeropres',
+  baseUrl: undefined,
+  telegramChatId: undefined,
+  telegramAllow: [],
+  captchaPort: undefined,
+  captchaHost: '127.0.0.1',
+  dashboardPort: undefined,
+  dashboardHost: '127.0.0.1',
+  daemonInterval: '1h',
+  quietHours: undefined,
+  maxLoginsPerTick: Infinity,
+  notifiers: [],
+  logLevel: 'info',
+  logFormat: 'text',
+  logFile: undefined,
+  logMaxSize: 5242880,
+  logMaxFiles: 5,
+  vault: 'dawn.vault'
+};
+
+// Command line flags, mapped onto config keys
+const OPTIONS = {
+  'config': { type: 'string', short: 'c' },
+  'solver': { type: 'string', short: 's', key: 'solver' },
+  'api-key': { type: 'string', short: 'k', key: 'apiKey' },
+  'credentials': { type: 'string', key: 'credentials' },
+  'credentials-format': { type: 'string', key: 'credentialsFormat' },
+  'tokens-file': { type: 'string', key: 'tokensFile' },
+  'results-file': { type: 'string', key: 'resultsFile' },
+  'checkpoint-file': { type: 'string', key: 'checkpointFile' },
+  'accounts-file': { type: 'string', key: 'accountsFile' },
+  'points-file': { type: 'string', key: 'pointsFile' },
+  'fresh-for': { type: 'string', key: 'freshFor' },
+  'account-delay': { type: 'string', key: 'accountDelay' },
+  'retry-delay': { type: 'string', key: 'retryDelay' },
+  'max-attempts': { type: 'string', key: 'maxAttempts' },
+  'request-timeout': { type: 'string', key: 'requestTimeout' },
+  'profile': { type: 'string', short: 'p', key: 'profile' },
+  'base-url': { type: 'string', key: 'baseUrl' },
+  'telegram-chat-id': { type: 'string', key: 'telegramChatId' },
+  'telegram-allow': { type: 'string', key: 'telegramAllow' },
+  'captcha-port': { type: 'string', key: 'captchaPort' },
+  'captcha-host': { type: 'string', key: 'captchaHost' },
+  'dashboard-port': { type: 'string', key: 'dashboardPort' },
+  'dashboard-host': { type: 'string', key: 'dashboardHost' },
+  'interval': { type: 'string', key: 'daemonInterval' },
+  'quiet-hours': { type: 'string', key: 'quietHours' },
+  'max-logins-per-tick': { type: 'string', key: 'maxLoginsPerTick' },
+  'vault': { type: 'string', key: 'vault' },
+  'log-level': { type: 'string', key: 'logLevel' },
+  'log-format': { type: 'string', key: 'logFormat' },
+  'log-file': { type: 'string', key: 'logFile' },
+  'help': { type: 'boolean', short: 'h' },
+  // Command specific flags, returned as-is
+  'resume': { type: 'boolean' },
+  'only-failed': { type: 'boolean' },
+  'check-only': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'once': { type: 'boolean' },
+  'tags': { type: 'string' },
+  'notes': { type: 'string' },
+  'since': { type: 'string' },
+  'until': { type: 'string' },
+  'outcome': { type: 'string' },
+  'account': { type: 'string' },
+  'category': { type: 'string' },
+  'run': { type: 'string' },
+  'format': { type: 'string' }
+};
+
+// Environment variables, mapped onto config keys
+const ENV_VARS = {
+  DAWN_SOLVER: 'solver',
+  DAWN_API_KEY: 'apiKey',
+  DAWN_CREDENTIALS: 'credentials',
+  DAWN_CREDENTIALS_FORMAT: 'credentialsFormat',
+  DAWN_TOKENS_FILE: 'tokensFile',
+  DAWN_RESULTS_FILE: 'resultsFile',
+  DAWN_CHECKPOINT_FILE: 'checkpointFile',
+  DAWN_ACCOUNTS_FILE: 'accountsFile',
+  DAWN_POINTS_FILE: 'pointsFile',
+  DAWN_FRESH_FOR: 'freshFor',
+  DAWN_ACCOUNT_DELAY: 'accountDelay',
+  DAWN_RETRY_DELAY: 'retryDelay',
+  DAWN_MAX_ATTEMPTS: 'maxAttempts',
+  DAWN_RETRY_POLICIES: 'retryPolicies',
+  DAWN_REQUEST_TIMEOUT: 'requestTimeout',
+  DAWN_PROFILE: 'profile',
+  DAWN_BASE_URL: 'baseUrl',
+  DAWN_TELEGRAM_CHAT_ID: 'telegramChatId',
+  DAWN_TELEGRAM_ALLOW: 'telegramAllow',
+  DAWN_CAPTCHA_PORT: 'captchaPort',
+  DAWN_CAPTCHA_HOST: 'captchaHost',
+  DAWN_DASHBOARD_PORT: 'dashboardPort',
+  DAWN_DASHBOARD_HOST: 'dashboardHost',
+  DAWN_DAEMON_INTERVAL: 'daemonInterval',
+  DAWN_QUIET_HOURS: 'quietHours',
+  DAWN_MAX_LOGINS_PER_TICK: 'maxLoginsPerTick',
+  DAWN_NOTIFIERS: 'notifiers',
+  DAWN_VAULT: 'vault',
+  DAWN_LOG_LEVEL: 'logLevel',
+  DAWN_LOG_FORMAT: 'logFormat',
+  DAWN_LOG_FILE: 'logFile',
+  DAWN_LOG_MAX_SIZE: 'logMaxSize',
+  DAWN_LOG_MAX_FILES: 'logMaxFiles'
+};
+
+const NUMERIC_KEYS = ['accountDelay', 'retryDelay', 'maxAttempts', 'requestTimeout', 'logMaxSize', 'logMaxFiles', 'maxLoginsPerTick'];
+
+// Optional local server ports, unset keeps the server off
+const PORT_KEYS = ['captchaPort', 'dashboardPort'];
+
+// Error for invalid command lines or configuration, reported with usage
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Convert numeric settings, 'Infinity' allows unlimited login attempts
+function normalize(config) {
+  for (const key of NUMERIC_KEYS) {
+    const value = Number(config[key]);
+    if (Number.isNaN(value) || value < 0) {
+      throw new ConfigError(`Invalid value for ${key}: ${config[key]}`);
+    }
+    config[key] = value;
+  }
+  if (config.maxAttempts < 1) {
+    throw new ConfigError('maxAttempts must be at least 1');
+  }
+  if (config.maxLoginsPerTick < 1) {
+    throw new ConfigError('maxLoginsPerTick must be at least 1');
+  }
+  for (const key of PORT_KEYS) {
+    if (config[key] !== undefined) {
+      const port = Number(config[key]);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new ConfigError(`Invalid value for ${key}: ${config[key]}`);
+      }
+      config[key] = port;
+    }
+  }
+  if (config.solver && !SOLVER_TYPES.includes(config.solver)) {
+    throw new ConfigError(`Unknown solver "${config.solver}", expected one of: ${SOLVER_TYPES.join(', ')}`);
+  }
+  if (typeof config.retryPolicies === 'string') {
+    try {
+      config.retryPolicies = JSON.parse(config.retryPolicies);
+    } catch (error) {
+      throw new ConfigError(`Invalid retryPolicies JSON: ${error.message}`);
+    }
+  }
+  for (const [category, policy] of Object.entries(config.retryPolicies || {})) {
+    if (!ERROR_CATEGORIES.includes(category)) {
+      throw new ConfigError(`Unknown error category in retryPolicies: ${category}`);
+    }
+    if (policy.maxAttempts !== undefined && !(policy.maxAttempts >= 1)) {
+      throw new ConfigError(`retryPolicies.${category}.maxAttempts must be at least 1`);
+    }
+  }
+  if (typeof config.notifiers === 'string') {
+    try {
+      config.notifiers = JSON.parse(config.notifiers);
+    } catch (error) {
+      throw new ConfigError(`Invalid notifiers JSON: ${error.message}`);
+    }
+  }
+  const notifierProblem = checkNotifierConfig(config.notifiers);
+  if (notifierProblem) {
+    throw new ConfigError(`Invalid notifier settings: ${notifierProblem}`);
+  }
+  if (typeof config.telegramAllow === 'string' || typeof config.telegramAllow === 'number') {
+    config.telegramAllow = String(config.telegramAllow).split(',').map(id => id.trim()).filter(Boolean);
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    throw new ConfigError(`Unknown log level "${config.logLevel}", expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(config.logFormat)) {
+    throw new ConfigError(`Unknown log format "${config.logFormat}", expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  if (!CREDENTIAL_FORMATS.includes(config.credentialsFormat)) {
+    throw new ConfigError(`Unknown credentials format "${config.credentialsFormat}", expected one of: ${CREDENTIAL_FORMATS.join(', ')}`);
+  }
+  return config;
+}
+
+// Read the JSON config file, an explicitly named file must exist
+async function readConfigFile(filePath, explicit) {
+  if (!await fs.pathExists(filePath)) {
+    if (explicit) {
+      throw new ConfigError(`Config file not found: ${filePath}`);
+    }
+    return {};
+  }
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    throw new ConfigError(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Parse argv into a command, its positional arguments, command flags and the merged configuration.
+// Precedence: flags > environment > config file > front-end defaults > DEFAULTS.
+export async function loadConfig(argv, { env = process.env, defaults = {} } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])),
+      allowPositionals: true
+    });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = 'login', ...args] = positionals;
+
+  const configPath = values.config || env.DAWN_CONFIG || DEFAULT_CONFIG_FILE;
+  const fileConfig = await readConfigFile(path.resolve(configPath), Boolean(values.config || env.DAWN_CONFIG));
+
+  const config = { ...DEFAULTS, ...defaults, ...fileConfig };
+  for (const [name, key] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== '') config[key] = env[name];
+  }
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    if (option.key && values[name] !== undefined) config[option.key] = values[name];
+  }
+
+  return { command, args, flags: values, help: Boolean(values.help), config: normalize(config) };
+}
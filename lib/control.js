@@ -0,0 +1,130 @@
+// Operator controls for a running login loop: pause, resume, skip an account or stop the run.
+// The runner consults it between accounts; skipping the current account or stopping aborts its signal.
+export class RunControl {
+  constructor() {
+    this.state = 'idle';
+    this.runId = null;
+    this.current = null;
+    this.paused = false;
+    this.stopped = false;
+    this.stopReason = null;
+    this.skips = new Set();
+    this.reruns = [];
+    this.accounts = new Map();
+    this.progress = { done: 0, total: 0, successful: 0, failed: 0, skipped: 0 };
+    this.resumeWaiters = [];
+    this.accountController = null;
+  }
+
+  // Hold the run before its next account
+  pause() {
+    if (this.stopped || this.paused) return false;
+    this.paused = true;
+    this.state = this.current ? 'pausing' : 'paused';
+    return true;
+  }
+
+  resume() {
+    if (!this.paused) return false;
+    this.paused = false;
+    this.state = this.stopped ? 'stopping' : 'running';
+    this.resumeWaiters.splice(0).forEach(resolve => resolve());
+    return true;
+  }
+
+  // Leave an account out of the run, abandoning it at once when it is the one being logged in
+  skip(email) {
+    this.skips.add(email);
+    if (this.current === email) {
+      this.accountController?.abort();
+    }
+  }
+
+  // Log an account of the run in again once the accounts ahead of it are done.
+  // An account the run has not reached yet is refused, it still gets its own turn.
+  rerun(email) {
+    if (!this.accounts.has(email) || this.accounts.get(email) === 'pending' || this.stopped || this.state === 'finished') return false;
+    this.skips.delete(email);
+    if (!this.reruns.includes(email)) {
+      this.reruns.push(email);
+      this.accounts.set(email, 'queued');
+      this.progress.total++;
+    }
+    return true;
+  }
+
+  // Hand the accounts queued by rerun() to the run loop
+  takeReruns() {
+    return this.reruns.splice(0);
+  }
+
+  // End the run, abandoning the current account
+  stop(reason = 'stopped by the operator') {
+    if (!this.stopped) {
+      this.stopReason = reason;
+    }
+    this.stopped = true;
+    this.state = 'stopping';
+    this.resume();
+    this.accountController?.abort();
+  }
+
+  // Whether work on an account was cancelled by skip() or stop()
+  isCancelled(email) {
+    return this.stopped || this.skips.has(email);
+  }
+
+  // Resolve once the run is not paused
+  async waitWhilePaused() {
+    if (this.paused) {
+      this.state = 'paused';
+    }
+    while (this.paused) {
+      await new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+  }
+
+  start(runId, total, emails = []) {
+    this.runId = runId;
+    this.progress.total = total;
+    this.state = 'running';
+    this.accounts = new Map(emails.map(email => [email, 'pending']));
+  }
+
+  // Mark an account as in progress, returning the signal that skip() and stop() abort
+  startAccount(email) {
+    this.current = email;
+    this.accounts.set(email, 'running');
+    this.accountController = new AbortController();
+    return this.accountController.signal;
+  }
+
+  // Count an account as done with outcome 'success', 'failure' or 'skipped'
+  finishAccount(outcome, email = this.current) {
+    // An account queued again keeps showing as queued
+    if (email && !this.reruns.includes(email)) {
+      this.accounts.set(email, outcome);
+    }
+    this.current = null;
+    this.accountController = null;
+    this.progress.done++;
+    if (outcome === 'success') this.progress.successful++;
+    else if (outcome === 'failure') this.progress.failed++;
+    else this.progress.skipped++;
+  }
+
+  finish() {
+    this.current = null;
+    this.state = this.stopped ? 'stopped' : 'finished';
+  }
+
+  // Snapshot of the run for status reports
+  status() {
+    return { state: this.state, runId: this.runId, current: this.current, ...this.progress };
+  }
+
+  // State of every account of the run: pending, queued, running, success, failure or skipped
+  accountStates() {
+    return Object.fromEntries(this.accounts);
+  }
+}
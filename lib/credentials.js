@@ -0,0 +1,250 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { logger } from './logger.js';
+
+export const CREDENTIAL_FORMATS = ['auto', 'colon', 'csv', 'json'];
+
+const EMAIL_PATTERN = /^[^\s@:]+@[^\s@:]+\.[^\s@:]+$/;
+
+// Error for a credentials file that cannot be read or parsed as a whole
+export class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialsError';
+  }
+}
+
+// Split `email:password` at the first unescaped colon, `\:` and `\\` are unescaped in both parts
+function parseColonLine(line) {
+  const parts = [''];
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && (line[i + 1] === ':' || line[i + 1] === '\\')) {
+      parts[parts.length - 1] += line[++i];
+    } else if (char === ':' && parts.length === 1) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  if (parts.length < 2) {
+    return { error: 'missing ":" between email and password' };
+  }
+  // Colon lines have no quoting, so surrounding whitespace is never part of the password
+  return { email: parts[0], password: parts[1].trim() };
+}
+
+// Split one CSV row, supporting quoted fields with "" escapes
+function parseCsvRow(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return null;
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Numbered, non-empty lines of a text file, skipping `#` comments
+function textLines(content) {
+  return content.split(/\r?\n/)
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => text && !text.startsWith('#'));
+}
+
+function parseColon(content) {
+  return textLines(content).map(({ line, text }) => ({ line, ...parseColonLine(text) }));
+}
+
+function parseCsv(content) {
+  const [header, ...rows] = textLines(content);
+  if (!header) {
+    return [];
+  }
+  const columns = (parseCsvRow(header.text) || []).map(column => column.trim().toLowerCase());
+  const emailColumn = columns.indexOf('email');
+  const passwordColumn = columns.indexOf('password');
+  if (emailColumn === -1 || passwordColumn === -1) {
+    throw new CredentialsError('CSV header must name an "email" and a "password" column');
+  }
+  return rows.map(({ line, text }) => {
+    const fields = parseCsvRow(text);
+    if (!fields) {
+      return { line, error: 'unterminated quoted field' };
+    }
+    if (fields.length < columns.length) {
+      return { line, error: `expected ${columns.length} columns, found ${fields.length}` };
+    }
+    return { line, email: fields[emailColumn], password: fields[passwordColumn] };
+  });
+}
+
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new CredentialsError(`Invalid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.accounts;
+  if (!Array.isArray(entries)) {
+    throw new CredentialsError('JSON credentials must be an array or an object with an "accounts" array');
+  }
+  return entries.map((entry, index) => {
+    if (typeof entry?.email !== 'string' || typeof entry?.password !== 'string') {
+      return { line: index + 1, error: 'entry needs string "email" and "password" fields' };
+    }
+    return { line: index + 1, email: entry.email, password: entry.password };
+  });
+}
+
+const PARSERS = { colon: parseColon, csv: parseCsv, json: parseJson };
+
+// Pick the format from the file extension unless one is given
+export function detectFormat(filePath, format = 'auto') {
+  if (format !== 'auto') {
+    return format;
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.csv' ? 'csv' : extension === '.json' ? 'json' : 'colon';
+}
+
+// Why an email and password cannot be used, or null when they can
+export function checkCredential(email, password) {
+  if (!EMAIL_PATTERN.test(email)) {
+    return `invalid email "${email}"`;
+  }
+  if (!password) {
+    return 'empty password';
+  }
+  return null;
+}
+
+// Parse credentials text into accepted accounts plus a per-entry report.
+// Entries are checked for email syntax and an empty password, and deduplicated by email.
+// Passwords are kept as the parser returns them, only colon lines are trimmed.
+export function parseCredentials(content, format = 'colon') {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new CredentialsError(`Unknown credentials format: ${format}`);
+  }
+
+  const accounts = [];
+  const report = [];
+  const seen = new Map();
+
+  for (const entry of parse(content)) {
+    const email = entry.email?.trim();
+    const { password } = entry;
+    let reason = entry.error || checkCredential(email, password);
+    if (!reason && seen.has(email.toLowerCase())) {
+      reason = `duplicate of line ${seen.get(email.toLowerCase())}`;
+    }
+
+    if (reason) {
+      report.push({ line: entry.line, email, accepted: false, reason });
+    } else {
+      seen.set(email.toLowerCase(), entry.line);
+      accounts.push({ email, password });
+      report.push({ line: entry.line, email, accepted: true });
+    }
+  }
+
+  return { accounts, report };
+}
+
+// Read and parse a credentials file in colon, CSV or JSON format
+export async function importCredentials(filePath, { format = 'auto' } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new CredentialsError(`Unable to read credentials from ${filePath}: ${error.message}`);
+  }
+  const detected = detectFormat(filePath, format);
+  return { format: detected, ...parseCredentials(content, detected) };
+}
+
+// Print what was accepted or rejected, line by line
+export function printImportReport(filePath, { format, accounts, report }) {
+  logger.info(chalk.cyan(`\nCredentials from ${filePath} (${format}):`));
+  for (const entry of report) {
+    if (entry.accepted) {
+      logger.info(chalk.green(`  ✓ line ${entry.line}: ${entry.email}`));
+    } else {
+      logger.warn(chalk.red(`  ✗ line ${entry.line}: rejected, ${entry.reason}`));
+    }
+  }
+  const rejected = report.length - accounts.length;
+  logger.info((rejected ? chalk.yellow : chalk.green)(`  ${accounts.length} accepted, ${rejected} rejected`));
+}
+
+// Escape a value for a colon line, the reverse of parseColonLine
+function escapeColon(text) {
+  return text.replace(/\\/g, '\\\\').replace(/:/g, '\\:');
+}
+
+// Only colon files are edited in place, the other formats are left to their owners
+function ensureEditable(filePath, format) {
+  if (detectFormat(filePath, format) !== 'colon') {
+    throw new CredentialsError(`Only colon format credentials files can be edited, change ${filePath} by hand`);
+  }
+}
+
+// Append an account to a colon format credentials file
+export async function appendCredential(filePath, { email, password }, { format = 'auto' } = {}) {
+  ensureEditable(filePath, format);
+  const content = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '';
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  await fs.appendFile(filePath, `${separator}${escapeColon(email)}:${escapeColon(password)}\n`, { mode: 0o600 });
+}
+
+// Drop an account's lines from a colon format credentials file, resolves to whether any was dropped
+export async function removeCredential(filePath, email, { format = 'auto' } = {}) {
+  ensureEditable(filePath, format);
+  if (!await fs.pathExists(filePath)) {
+    return false;
+  }
+  const lines = (await fs.readFile(filePath, 'utf8')).split('\n');
+  const kept = lines.filter((line) => {
+    const text = line.trim();
+    return !text || text.startsWith('#') || parseColonLine(text).email?.trim().toLowerCase() !== email.toLowerCase();
+  });
+  if (kept.length === lines.length) {
+    return false;
+  }
+  await fs.writeFile(filePath, kept.join('\n'));
+  return true;
+}
+
+// Read credentials from file
+export async function readCredentials(filePath, options) {
+  try {
+    return (await importCredentials(filePath, options)).accounts;
+  } catch (error) {
+    logger.error(chalk.red(`Error reading credentials: ${error.message}`));
+    return [];
+  }
+}
@@ -0,0 +1,47 @@
+// Scheduling helpers for the daemon command
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Length of an interval like 45s, 30m, 2h or 1d in milliseconds
+export function parseInterval(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid interval "${value}", use a duration like 30m or 2h`);
+  }
+  return Number(match[1]) * UNITS[match[2]];
+}
+
+// Minutes since midnight of an HH:MM time
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}", use HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Parse quiet hours like 23:00-07:00 into { start, end } minutes since midnight, the range may wrap midnight
+export function parseQuietHours(value) {
+  const [start, end, ...rest] = String(value).split('-');
+  if (end === undefined || rest.length) {
+    throw new Error(`Invalid quiet hours "${value}", use a local time range like 23:00-07:00`);
+  }
+  const range = { start: parseClock(start), end: parseClock(end) };
+  if (range.start === range.end) {
+    throw new Error(`Invalid quiet hours "${value}", the range is empty`);
+  }
+  return range;
+}
+
+// Whether a date falls within the quiet hours, in local time
+export function isQuietTime({ start, end }, date = new Date()) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+// HH:MM at which the quiet hours end
+export function formatQuietEnd({ end }) {
+  return `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,185 @@
+import http from 'http';
+import chalk from 'chalk';
+import { pointsBreakdown } from './dawnClient.js';
+import { logger } from './logger.js';
+import { send, listen, close, isJsonRequest } from './localServer.js';
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Dawn dashboard</title>
+<style>
+  body { font-family: sans-serif; margin: 32px; color: #222; }
+  table { border-collapse: collapse; margin: 12px 0 28px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 12px; text-align: left; }
+  .success { color: #1a7f37; } .failure, .abandoned { color: #cf222e; } .running, .queued { color: #9a6700; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>Dawn dashboard</h1>
+<p id="run" class="muted">Loading...</p>
+<h2>Accounts</h2>
+<table>
+  <thead><tr><th>Account</th><th>This run</th><th>Latest attempt</th><th>Points</th><th></th></tr></thead>
+  <tbody id="accounts"></tbody>
+</table>
+<h2>Points <button id="refresh">Refresh</button></h2>
+<p id="points" class="muted">Not loaded yet.</p>
+<script>
+let points = {};
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text ?? '';
+  if (className) td.className = className;
+  return td;
+}
+async function refresh() {
+  const [run, accounts] = await Promise.all([
+    fetch('/api/run').then(response => response.json()),
+    fetch('/api/accounts').then(response => response.json())
+  ]);
+  document.getElementById('run').textContent = run.runId
+    ? 'Run ' + run.runId + ': ' + run.state + (run.current ? ', logging in ' + run.current : '') +
+      ' - ' + run.done + '/' + run.total + ' done, ' + run.successful + ' successful, ' + run.failed + ' failed, ' + run.skipped + ' skipped'
+    : 'No run in progress';
+  const rows = accounts.map(account => {
+    const tr = document.createElement('tr');
+    const latest = account.latest;
+    tr.append(
+      cell(account.account),
+      cell(account.state || '-', account.state),
+      cell(latest ? latest.time.slice(0, 19).replace('T', ' ') + ' ' + latest.outcome + (latest.errorCategory ? ' [' + latest.errorCategory + ']' : '') : '-', latest?.outcome),
+      cell(points[account.account] ?? '')
+    );
+    const td = document.createElement('td');
+    const button = document.createElement('button');
+    button.textContent = 'Log in again';
+    button.disabled = !account.state || ['pending', 'queued', 'running'].includes(account.state) || run.state === 'finished';
+    button.onclick = async () => {
+      button.disabled = true;
+      const response = await fetch('/api/accounts/' + encodeURIComponent(account.account) + '/rerun', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{}'
+      });
+      if (!response.ok) alert((await response.json()).error);
+      refresh();
+    };
+    td.append(button);
+    tr.append(td);
+    return tr;
+  });
+  document.getElementById('accounts').replaceChildren(...rows);
+}
+async function refreshPoints() {
+  document.getElementById('points').textContent = 'Loading...';
+  const result = await fetch('/api/points').then(response => response.json());
+  points = Object.fromEntries(result.accounts.map(({ account, points, error }) => [account, error ? 'error' : points]));
+  document.getElementById('points').textContent = 'Total: ' + result.total + ' points over ' + result.accounts.length + ' stored tokens';
+  refresh();
+}
+document.getElementById('refresh').onclick = refreshPoints;
+refresh();
+refreshPoints();
+setInterval(refresh, 3000);
+</script>
+</body>
+</html>
+`;
+
+// Local status dashboard and REST API for a login run:
+//   GET  /api/run                        run state and progress
+//   GET  /api/accounts                   every account with its state in the run and its latest recorded attempt
+//   GET  /api/points                     points per stored token, fetched from the API, and their total
+//   POST /api/accounts/<email>/rerun     log an account the run has already reached in again
+// and an HTML page over them at /.
+export class Dashboard {
+  constructor({ control, client, tokens, results, host = '127.0.0.1', port = 0 }) {
+    this.control = control;
+    this.client = client;
+    this.tokens = tokens;
+    this.results = results;
+    this.host = host;
+    this.port = port;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error(chalk.red(`Dashboard request ${req.method} ${req.url} failed: ${error.message}`));
+        send(res, 500, { error: error.message });
+      });
+    });
+  }
+
+  // Start serving, resolves with the dashboard URL
+  async listen() {
+    this.url = await listen(this.server, this.host, this.port);
+    return this.url;
+  }
+
+  close() {
+    return close(this.server);
+  }
+
+  // Accounts of the run followed by any other account with recorded attempts
+  async accounts() {
+    const states = this.control.accountStates();
+    const latest = await this.results.latestByAccount();
+    const emails = [...new Set([...Object.keys(states), ...latest.keys()])];
+    return emails.map(account => ({ account, state: states[account] || null, latest: latest.get(account) || null }));
+  }
+
+  // Points of every stored token, an account whose points cannot be fetched is reported with its error
+  async points() {
+    const accounts = [];
+    for (const [account, token] of await this.tokens.load()) {
+      try {
+        accounts.push({ account, points: pointsBreakdown(await this.client.fetchPoints(token)).total });
+      } catch (error) {
+        accounts.push({ account, points: null, error: error.message });
+      }
+    }
+    return { total: accounts.reduce((sum, { points }) => sum + (points || 0), 0), accounts };
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'GET' && pathname === '/') {
+      return send(res, 200, PAGE, 'text/html; charset=utf-8');
+    }
+    if (req.method === 'GET' && pathname === '/api/run') {
+      return send(res, 200, this.control.status());
+    }
+    if (req.method === 'GET' && pathname === '/api/accounts') {
+      return send(res, 200, await this.accounts());
+    }
+    if (req.method === 'GET' && pathname === '/api/points') {
+      return send(res, 200, await this.points());
+    }
+    if (parts[0] === 'api' && parts[1] === 'accounts' && parts[3] === 'rerun' && parts.length === 4) {
+      if (req.method !== 'POST') {
+        return send(res, 405, { error: 'Method not allowed' });
+      }
+      // Re-runs spend captchas, so plain cross-site form posts from other pages are refused
+      if (!isJsonRequest(req)) {
+        return send(res, 415, { error: 'Send the request with content-type: application/json' });
+      }
+      const email = parts[2];
+      const state = this.control.accountStates()[email];
+      if (!state) {
+        return send(res, 404, { error: `${email} is not part of this run` });
+      }
+      if (state === 'pending') {
+        return send(res, 409, { error: `${email} has not had its turn in this run yet` });
+      }
+      if (!this.control.rerun(email)) {
+        return send(res, 409, { error: 'The run is finished or stopping' });
+      }
+      logger.info(chalk.cyan(`Dashboard queued ${email} to log in again`));
+      return send(res, 202, { account: email, state: 'queued' });
+    }
+    return send(res, 404, { error: 'Not found' });
+  }
+}
@@ -0,0 +1,210 @@
+import chalk from 'chalk';
+import { CancelledError, DawnError } from './errors.js';
+import { DEFAULT_TIMEOUT, Transport } from './transport.js';
+import { DEFAULT_PROFILE } from './profile.js';
+import { logger } from './logger.js';
+
+const MAX_RETRIES = 3;
+
+// Generate unique app ID for each session
+export function generateAppId() {
+  const hexDigits = '0123456789abcdef';
+  let appId = '67';
+  for (let i = 0; i < 22; i++) {
+    appId += hexDigits[Math.floor(Math.random() * 16)];
+  }
+  return appId;
+}
+
+// Get base headers for requests, as declared by the API profile
+export function getHeaders(profile = DEFAULT_PROFILE) {
+  return { ...profile.headers };
+}
+
+// Individual point sources returned by the points endpoint, with their sum
+export function pointsBreakdown(pointData) {
+  const { referralPoint, rewardPoint } = pointData || {};
+  const breakdown = {
+    commission: referralPoint?.commission || 0,
+    rewardPoints: rewardPoint?.points || 0,
+    registerPoints: rewardPoint?.registerpoints || 0,
+    twitterPoints: rewardPoint?.twitter_x_id_points || 0,
+    discordPoints: rewardPoint?.discordid_points || 0,
+    telegramPoints: rewardPoint?.telegramid_points || 0
+  };
+  return { ...breakdown, total: Object.values(breakdown).reduce((sum, value) => sum + value, 0) };
+}
+
+// Sum the individual point sources returned by the points endpoint
+export function totalPoints(pointData) {
+  return pointsBreakdown(pointData).total;
+}
+
+// Aeropres endpoints with the response shape each one is expected to return, their paths come from the API profile
+export const ENDPOINTS = {
+  puzzle: {
+    name: 'puzzle/get-puzzle',
+    label: 'puzzle ID',
+    schema: { type: 'object', required: ['puzzle_id'], properties: { puzzle_id: { type: 'string' } } }
+  },
+  image: {
+    name: 'puzzle/get-puzzle-image',
+    label: 'puzzle image',
+    schema: { type: 'object', required: ['imgBase64'], properties: { imgBase64: { type: 'string' } } }
+  },
+  login: {
+    name: 'login/v2',
+    schema: {
+      type: 'object',
+      required: ['data'],
+      properties: { data: { type: 'object', required: ['token'], properties: { token: { type: 'string' } } } }
+    }
+  },
+  points: {
+    name: 'userreferral/getpoint',
+    schema: {
+      type: 'object',
+      required: ['data'],
+      properties: {
+        data: {
+          type: 'object',
+          properties: { referralPoint: { type: 'object' }, rewardPoint: { type: 'object' } }
+        }
+      }
+    }
+  },
+  // Only the offline mock serves this one, the real Dawn API has no known endpoint reporting the current extension version
+  version: {
+    name: 'extension version',
+    schema: {
+      type: 'object',
+      required: ['data'],
+      properties: { data: { type: 'object', required: ['version'], properties: { version: { type: 'string' } } } }
+    }
+  }
+};
+
+// Client for the Dawn extension endpoints on aeropres.in
+export class DawnClient {
+  constructor(options = {}) {
+    this.profile = options.profile || DEFAULT_PROFILE;
+    this.baseUrl = options.baseUrl || this.profile.baseUrl;
+    this.transport = new Transport({
+      baseUrl: this.baseUrl,
+      timeout: options.timeout ?? DEFAULT_TIMEOUT,
+      retries: options.maxRetries || MAX_RETRIES,
+      signal: options.signal
+    });
+  }
+
+  // An endpoint declaration with its path from the profile, null when the profile does not declare it
+  endpoint(key) {
+    const endpointPath = this.profile.endpoints[key];
+    return endpointPath ? { ...ENDPOINTS[key], path: endpointPath } : null;
+  }
+
+  // Send a request to a profile endpoint with the profile's headers
+  request(key, options = {}) {
+    return this.transport.request(this.endpoint(key), {
+      ...options,
+      headers: { ...getHeaders(this.profile), ...options.headers }
+    });
+  }
+
+  // Get puzzle ID for captcha
+  async getPuzzleId(appId, { signal } = {}) {
+    const data = await this.request('puzzle', { query: { appid: appId }, signal });
+    logger.info(chalk.green(`✓ Got puzzle ID: ${data.puzzle_id}`));
+    return data.puzzle_id;
+  }
+
+  // Get puzzle image for solving
+  async getPuzzleImage(puzzleId, appId, { signal } = {}) {
+    const data = await this.request('image', {
+      query: { puzzle_id: puzzleId, appid: appId },
+      signal
+    });
+    logger.info(chalk.green('✓ Got puzzle image'));
+    return data.imgBase64;
+  }
+
+  // Submit credentials together with a solved puzzle, returns the session token
+  async submitLogin(email, password, puzzleId, captchaText, appId, { signal } = {}) {
+    const loginData = {
+      username: email,
+      password: password,
+      logindata: {
+        _v: { version: this.profile.extensionVersion },
+        datetime: new Date().toISOString()
+      },
+      puzzle_id: puzzleId,
+      ans: captchaText
+    };
+
+    const loginResult = await this.request('login', {
+      method: 'POST',
+      query: { appid: appId },
+      body: loginData,
+      retries: 1,
+      signal
+    });
+    return loginResult.data.token;
+  }
+
+  // Run one full login: fetch a puzzle, solve it and submit the credentials.
+  // Aborting options.signal cancels the requests and the captcha wait with a CancelledError.
+  // options.onStep(event) is told about 'puzzle-fetched' and 'captcha-answered' along the way.
+  async login(email, password, solver, { signal, onStep = async () => {} } = {}) {
+    const appId = generateAppId();
+    const puzzleId = await this.getPuzzleId(appId, { signal });
+    const imageBase64 = await this.getPuzzleImage(puzzleId, appId, { signal });
+    await onStep({ type: 'puzzle-fetched', puzzleId });
+    let captchaText;
+    try {
+      captchaText = await solver.solve(imageBase64, { signal, account: email });
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+      throw new DawnError(error.message, { category: 'solver_error', cause: error });
+    }
+    await onStep({ type: 'captcha-answered', puzzleId, answer: captchaText, solver: solver.type });
+    const token = await this.submitLogin(email, password, puzzleId, captchaText, appId, { signal });
+    return { token, appId };
+  }
+
+  // Fetch the points breakdown for a session token, errors carry the HTTP status
+  async fetchPoints(token, appId = generateAppId(), { signal } = {}) {
+    const data = await this.request('points', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      query: { appid: appId },
+      retries: 1,
+      signal
+    });
+    return data.data;
+  }
+
+  // Extension version the server reports as current, null when the profile declares no version endpoint
+  async getServerVersion() {
+    if (!this.endpoint('version')) {
+      return null;
+    }
+    const data = await this.request('version', { retries: 1 });
+    return data.data.version;
+  }
+
+  // Get the points breakdown for a session token, null when it cannot be fetched
+  async getPointsBreakdown(token, appId) {
+    try {
+      return pointsBreakdown(await this.fetchPoints(token, appId));
+    } catch (error) {
+      logger.error(chalk.red(`Error getting points: ${error.message}`));
+      return null;
+    }
+  }
+
+  // Get user points for a session token, 0 when they cannot be fetched
+  async getUserPoints(token, appId) {
+    return (await this.getPointsBreakdown(token, appId))?.total || 0;
+  }
+}
@@ -0,0 +1,73 @@
+// Categories every login failure is sorted into
+export const ERROR_CATEGORIES = [
+  'invalid_credentials',
+  'wrong_captcha',
+  'rate_limited',
+  'server_error',
+  'network_error',
+  'malformed_response',
+  'solver_error',
+  'unknown'
+];
+
+// How often and how patiently each category is retried.
+// maxAttempts counts all attempts for the account, delay defaults to the configured retryDelay.
+export const DEFAULT_RETRY_POLICIES = {
+  invalid_credentials: { maxAttempts: 1 },
+  wrong_captcha: { maxAttempts: 5, backoff: 1 },
+  rate_limited: { maxAttempts: 5, backoff: 3 },
+  server_error: { maxAttempts: 5, backoff: 1.5 },
+  network_error: { maxAttempts: 5, backoff: 1.5 },
+  malformed_response: { maxAttempts: 3, backoff: 1.5 },
+  solver_error: { maxAttempts: 3, backoff: 1.5 },
+  unknown: { maxAttempts: 3, backoff: 1.5 }
+};
+
+const INVALID_CREDENTIALS_PATTERN = /password|username|credential|not (found|exist|registered)|no user|banned|blocked|suspended|disabled/i;
+const WRONG_CAPTCHA_PATTERN = /captcha|answer|puzzle/i;
+
+// Error raised for a failed aeropres request, carrying its category and HTTP status
+export class DawnError extends Error {
+  constructor(message, { category = 'unknown', status, cause } = {}) {
+    super(message, { cause });
+    this.name = 'DawnError';
+    this.category = category;
+    this.status = status;
+  }
+}
+
+// Error raised when a request or wait is cancelled through an AbortSignal, never retried
+export class CancelledError extends Error {
+  constructor(message = 'Cancelled', { cause } = {}) {
+    super(message, { cause });
+    this.name = 'CancelledError';
+  }
+}
+
+// Category for a non-2xx status, or for a login rejection message
+export function categorizeResponse(status, message = '') {
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server_error';
+  if (WRONG_CAPTCHA_PATTERN.test(message)) return 'wrong_captcha';
+  if (INVALID_CREDENTIALS_PATTERN.test(message)) return 'invalid_credentials';
+  return 'unknown';
+}
+
+// Category of any error thrown during a login attempt
+export function classifyError(error) {
+  if (error instanceof DawnError) {
+    return error.category;
+  }
+  if (error?.name === 'AbortError' || error?.type === 'system' || error?.type === 'request-timeout') {
+    return 'network_error';
+  }
+  if (error?.type === 'invalid-json' || error instanceof SyntaxError) {
+    return 'malformed_response';
+  }
+  return 'unknown';
+}
+
+// Effective policy for a category: the configured overrides on top of the defaults
+export function retryPolicyFor(policies, category) {
+  return { ...DEFAULT_RETRY_POLICIES.unknown, ...DEFAULT_RETRY_POLICIES[category], ...policies?.[category] };
+}
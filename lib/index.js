@@ -0,0 +1,23 @@
+// Public entry point for scripts that want to drive Dawn logins themselves
+export { DawnClient, ENDPOINTS, generateAppId, getHeaders, pointsBreakdown, totalPoints } from './dawnClient.js';
+export { createSolver, SOLVER_TYPES } from './solvers.js';
+export { readCredentials, importCredentials, parseCredentials, checkCredential, appendCredential, removeCredential, CredentialsError } from './credentials.js';
+export { AccountRegistry, parseTags } from './accounts.js';
+export { runLogins, loginAccountWithRetry } from './runner.js';
+export { LoginRun, startLoginRun, LOGIN_EVENTS } from './loginRun.js';
+export { createTokenStore, FileTokenStore, VaultTokenStore } from './tokenStore.js';
+export { ResultsStore, createRunId, tokenFingerprint } from './results.js';
+export { Vault, VaultError } from './vault.js';
+export { loadConfig, ConfigError } from './config.js';
+export { Checkpoint, planRun } from './checkpoint.js';
+export { PointsHistory, buildPointsReport, renderPointsReport } from './points.js';
+export { DawnError, CancelledError, ERROR_CATEGORIES, DEFAULT_RETRY_POLICIES, classifyError, retryPolicyFor } from './errors.js';
+export { Transport, checkSchema, calculateRetryDelay, DEFAULT_TIMEOUT } from './transport.js';
+export { loadProfile, validateProfile, compareVersions, DEFAULT_PROFILE, PROFILE_VERSION } from './profile.js';
+export { RunControl } from './control.js';
+export { TelegramOperator, formatTelegramEvent } from './telegram.js';
+export { Notifier, NOTIFY_EVENTS, QUIET_EVENTS, NOTIFIER_TYPES, describeEvent } from './notifiers.js';
+export { Logger, logger, LOG_LEVELS, LOG_FORMATS } from './logger.js';
+export { CaptchaPage } from './captchaPage.js';
+export { Dashboard } from './dashboard.js';
+export { parseInterval, parseQuietHours, isQuietTime } from './daemon.js';
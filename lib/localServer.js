@@ -0,0 +1,26 @@
+// Helpers shared by the local HTTP servers (captcha page and dashboard)
+
+// Answer a request with JSON, or with a body of the given content type
+export function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'content-type': type, 'cache-control': 'no-store' });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+// Start serving, resolves with the server URL
+export function listen(server, host, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+  });
+}
+
+// Stop serving, dropping open connections such as polling pages
+export function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Whether a request carries a JSON body, which a cross-site form cannot send without a CORS preflight
+export function isJsonRequest(req) {
+  return /^application\/json\b/i.test(req.headers['content-type'] || '');
+}
@@ -0,0 +1,153 @@
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { stripVTControlCharacters } from 'util';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const REDACTED = '[REDACTED]';
+
+// Secrets recognised by their shape, on top of the values registered with addSecret()
+const SECRET_PATTERNS = [
+  [/(bearer\s+)[^\s"',;]+/gi, `$1${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/(["']?\b(?:password|passwd|pass|token|api[_-]?key|apikey|client[_-]?key|secret)\b["']?\s*[:=]\s*["']?)[^\s"',;&}]+/gi, `$1${REDACTED}`]
+];
+
+// Shortest registered value that is redacted, so a one-letter password does not blank out every line
+const MIN_SECRET_LENGTH = 4;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Leveled logger for console and log file output.
+// Lines carry the account and attempt of the login they were written from (see withContext),
+// passwords, bearer tokens and API keys are redacted everywhere they are written.
+export class Logger {
+  constructor(options = {}) {
+    this.secrets = new Set();
+    this.storage = new AsyncLocalStorage();
+    this.configure({ level: 'info', format: 'text', maxSize: 5 * 1024 * 1024, maxFiles: 5, ...options });
+  }
+
+  // Change level, format ('text' or 'json'), log file and rotation settings.
+  // Console lines go to stream when one is given, otherwise through console.log.
+  configure({ level = this.level, format = this.format, file = this.file, maxSize = this.maxSize, maxFiles = this.maxFiles, stream = this.stream } = {}) {
+    Object.assign(this, { level, format, file, maxSize, maxFiles, stream });
+    if (file) {
+      fs.ensureDirSync(path.dirname(path.resolve(file)));
+    }
+  }
+
+  // Register a value (password, token, API key) to be redacted from every line
+  addSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(value);
+      this.secretPattern = new RegExp([...this.secrets].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g');
+    }
+  }
+
+  // Replace registered secrets and anything shaped like a credential
+  redact(text) {
+    let result = String(text);
+    if (this.secretPattern) {
+      result = result.replace(this.secretPattern, REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  // Run fn with fields (account, attempt, runId) attached to every line it logs, including from awaited calls
+  withContext(fields, fn) {
+    return this.storage.run({ ...this.context, ...fields }, fn);
+  }
+
+  // Update the fields of the innermost withContext()
+  setContext(fields) {
+    Object.assign(this.storage.getStore() || {}, fields);
+  }
+
+  get context() {
+    return this.storage.getStore() || {};
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+    const text = this.redact(message);
+    const entry = { time: new Date().toISOString(), level, ...this.context, ...fields, message: stripVTControlCharacters(text).trim() };
+
+    if (this.format === 'json') {
+      this.writeConsole(JSON.stringify(entry));
+    } else {
+      // Keep leading blank lines ahead of the account prefix
+      const [, newlines, rest] = text.match(/^(\n*)([\s\S]*)$/);
+      const where = entry.account ? chalk.gray(`[${entry.account}${entry.attempt ? ` #${entry.attempt}` : ''}] `) : '';
+      this.writeConsole(`${newlines}${where}${rest}`);
+    }
+
+    if (this.file) {
+      this.writeFile(this.format === 'json'
+        ? JSON.stringify(entry)
+        : `${entry.time} ${level.toUpperCase().padEnd(5)} ${entry.account ? `[${entry.account}${entry.attempt ? ` #${entry.attempt}` : ''}] ` : ''}${entry.message}`);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  writeConsole(line) {
+    if (this.stream) {
+      this.stream.write(`${line}\n`);
+    } else {
+      console.log(line);
+    }
+  }
+
+  // Append a line to the log file, rotating it to file.1 ... file.<maxFiles> once it reaches maxSize
+  writeFile(line) {
+    const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    if (size > 0 && size + line.length + 1 > this.maxSize) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.file, `${line}\n`, { mode: 0o600 });
+  }
+
+  rotate() {
+    fs.removeSync(`${this.file}.${this.maxFiles}`);
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${this.file}.${index}`)) {
+        fs.renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.removeSync(this.file);
+    }
+  }
+}
+
+// Logger shared by the whole tool, configured by the CLI from the log settings
+export const logger = new Logger();
@@ -0,0 +1,102 @@
+import { EventEmitter } from 'events';
+import chalk from 'chalk';
+import { DawnClient } from './dawnClient.js';
+import { createSolver } from './solvers.js';
+import { runLogins } from './runner.js';
+import { FileTokenStore } from './tokenStore.js';
+import { ResultsStore } from './results.js';
+import { PointsHistory } from './points.js';
+import { RunControl } from './control.js';
+import { DEFAULTS, ConfigError } from './config.js';
+import { loadProfile } from './profile.js';
+import { NOTIFY_EVENTS } from './notifiers.js';
+import { logger } from './logger.js';
+
+// Events a LoginRun emits, in the order a run produces them
+export const LOGIN_EVENTS = NOTIFY_EVENTS.filter(type => type !== 'tick-end' && type !== 'fatal');
+
+// A login run for other Node modules, without the command line front-end.
+// Every run event is emitted under its type and as 'event'; login-success carries the token and points,
+// login-failure the error category. options.on maps event types to listeners.
+//
+// options: { solver (a type for createSolver or an object with solve()), apiKey, solverOptions,
+//   client, profile, baseUrl, tokens, results, history, runId, config (overrides DEFAULTS), on }
+export class LoginRun extends EventEmitter {
+  constructor(accounts, options = {}) {
+    super();
+    this.accounts = accounts;
+    this.options = options;
+    this.control = new RunControl();
+    for (const [type, listener] of Object.entries(options.on || {})) {
+      this.on(type, listener);
+    }
+  }
+
+  // Log every account in, resolving with the run summary
+  async start() {
+    const { options } = this;
+    const config = { ...DEFAULTS, ...options.config };
+    if (!options.solver) {
+      throw new ConfigError('A login run needs a solver: a solver type or an object with solve(base64Image)');
+    }
+    const solver = typeof options.solver === 'string'
+      ? await createSolver(options.solver, options.apiKey, options.solverOptions)
+      : options.solver;
+    const client = options.client || new DawnClient({
+      profile: typeof options.profile === 'object' ? options.profile : await loadProfile(options.profile || config.profile),
+      baseUrl: options.baseUrl,
+      timeout: config.requestTimeout
+    });
+
+    return runLogins(this.accounts, {
+      client,
+      solver,
+      config,
+      tokens: options.tokens || new FileTokenStore(config.tokensFile),
+      results: options.results || new ResultsStore(config.resultsFile),
+      history: options.history === undefined ? new PointsHistory(config.pointsFile) : options.history,
+      control: this.control,
+      runId: options.runId,
+      notify: async (event) => this.publish(event)
+    });
+  }
+
+  // Emit an event; a throwing listener is reported and never breaks the run
+  publish(event) {
+    for (const name of [event.type, 'event']) {
+      // rawListeners keeps the once() wrappers, which remove themselves when called
+      for (const listener of this.rawListeners(name)) {
+        try {
+          const result = listener.call(this, event);
+          result?.catch?.(error => logger.error(chalk.red(`Error in ${name} listener: ${error.message}`)));
+        } catch (error) {
+          logger.error(chalk.red(`Error in ${name} listener: ${error.message}`));
+        }
+      }
+    }
+  }
+
+  pause() {
+    return this.control.pause();
+  }
+
+  resume() {
+    return this.control.resume();
+  }
+
+  skip(email) {
+    this.control.skip(email);
+  }
+
+  stop() {
+    this.control.stop();
+  }
+}
+
+// Start a login run at once, returning it with `done`, the promise of its summary
+export function startLoginRun(accounts, options) {
+  const run = new LoginRun(accounts, options);
+  // Start on the next tick so listeners added right after this call see run-start
+  run.done = Promise.resolve().then(() => run.start());
+  return run;
+}
@@ -0,0 +1,206 @@
+import path from 'path';
+import fetch from 'node-fetch';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { logger } from './logger.js';
+
+// Events the run loop emits, in the order a run produces them, then the daemon's tick summary
+export const NOTIFY_EVENTS = [
+  'run-start',
+  'account-start',
+  'attempt-start',
+  'puzzle-fetched',
+  'captcha-answered',
+  'attempt-failed',
+  'retry-wait',
+  'login-success',
+  'login-failure',
+  'run-end',
+  'tick-end',
+  'fatal'
+];
+
+// Sent only to backends whose filter names them
+export const QUIET_EVENTS = ['puzzle-fetched', 'captcha-answered'];
+
+// 'telegram' only sets the event filter for the captchaTG.js bot chat
+export const NOTIFIER_TYPES = ['webhook', 'discord', 'email', 'file', 'telegram'];
+
+const WEBHOOK_TIMEOUT = 10000;
+
+// One line of plain text describing an event
+export function describeEvent(event) {
+  switch (event.type) {
+    case 'run-start':
+      return `Starting run ${event.runId}: ${event.total} accounts`;
+    case 'account-start':
+      return `Processing account ${event.index}/${event.total}: ${event.account}`;
+    case 'attempt-start':
+      return `Login attempt ${event.attempt} for ${event.account}`;
+    case 'puzzle-fetched':
+      return `Got puzzle ${event.puzzleId} for ${event.account}`;
+    case 'captcha-answered':
+      return `Captcha for ${event.account} answered by the ${event.solver} solver`;
+    case 'attempt-failed':
+      return `Login attempt ${event.attempt} failed for ${event.account} [${event.category}]: ${event.error}`;
+    case 'retry-wait':
+      return `Waiting ${Math.round(event.delay / 1000)} seconds before the next attempt for ${event.account}`;
+    case 'login-success':
+      return `Login successful for ${event.account}, points: ${event.points}`;
+    case 'login-failure':
+      return `Login failed for ${event.account} [${event.category}] after ${event.attempts} attempt(s): ${event.error}`;
+    case 'run-end': {
+      const breakdown = Object.entries(event.failures || {}).map(([category, count]) => `${category}: ${count}`).join(', ');
+      return `Run ${event.runId} ${event.stopped ? 'stopped' : 'completed'}: ${event.successful} successful, ${event.failed} failed` +
+        `${breakdown ? ` (${breakdown})` : ''}${event.skipped ? `, ${event.skipped} skipped` : ''}`;
+    }
+    case 'tick-end':
+      if (event.error) {
+        return `Tick ${event.tick} failed: ${event.error}`;
+      }
+      return `Tick ${event.tick}: ${event.valid}/${event.checked} tokens valid, ${event.expired} expired, ` +
+        `${event.successful} logged in again, ${event.failed} failed${event.deferred ? `, ${event.deferred} left for the next tick` : ''}`;
+    case 'fatal':
+      return `Fatal error: ${event.error}`;
+    default:
+      return event.type;
+  }
+}
+
+// POST a JSON body, failing on a non-2xx response
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+}
+
+// Generic webhook: the event as JSON with its text description
+export class WebhookNotifier {
+  constructor({ url, headers }) {
+    this.url = url;
+    this.headers = headers;
+  }
+
+  send(event) {
+    return postJson(this.url, { ...event, text: describeEvent(event) }, this.headers);
+  }
+}
+
+// Discord-style webhook: the text description as the message content
+export class DiscordNotifier {
+  constructor({ url, username = 'Dawn auto login' }) {
+    this.url = url;
+    this.username = username;
+  }
+
+  send(event) {
+    const icon = { 'login-success': '✅', 'login-failure': '❌', 'attempt-failed': '⚠️', 'run-end': '🏁', 'tick-end': '⏰', 'fatal': '🚨' }[event.type];
+    return postJson(this.url, { username: this.username, content: `${icon ? `${icon} ` : ''}${describeEvent(event)}`.slice(0, 2000) });
+  }
+}
+
+// SMTP email through nodemailer, one message per event
+export class EmailNotifier {
+  constructor({ host, port = 587, secure = false, user, pass, from, to, subjectPrefix = '[dawn]' }) {
+    this.options = { host, port, secure, auth: user ? { user, pass } : undefined };
+    this.from = from || user;
+    this.to = to;
+    this.subjectPrefix = subjectPrefix;
+  }
+
+  async send(event) {
+    if (!this.transport) {
+      const nodemailer = (await import('nodemailer')).default;
+      this.transport = nodemailer.createTransport(this.options);
+    }
+    const text = describeEvent(event);
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `${this.subjectPrefix} ${text}`.slice(0, 200),
+      text: `${text}\n\n${JSON.stringify(event, null, 2)}`
+    });
+  }
+}
+
+// Local file sink: one JSON line per event
+export class FileNotifier {
+  constructor({ path: filePath }) {
+    this.filePath = filePath;
+  }
+
+  async send(event) {
+    await fs.ensureDir(path.dirname(path.resolve(this.filePath)));
+    await fs.appendFile(this.filePath, `${JSON.stringify({ ...event, text: describeEvent(event) })}\n`);
+  }
+}
+
+const BACKENDS = {
+  webhook: WebhookNotifier,
+  discord: DiscordNotifier,
+  email: EmailNotifier,
+  file: FileNotifier
+};
+
+// Check notifier settings, returning a description of the first problem or null
+export function checkNotifierConfig(settings) {
+  if (!Array.isArray(settings)) {
+    return 'notifiers must be a list';
+  }
+  for (const [index, notifier] of settings.entries()) {
+    const name = `notifiers[${index}]`;
+    if (!NOTIFIER_TYPES.includes(notifier?.type)) {
+      return `${name} has unknown type "${notifier?.type}", expected one of: ${NOTIFIER_TYPES.join(', ')}`;
+    }
+    const unknown = (notifier.events || []).filter(event => !NOTIFY_EVENTS.includes(event));
+    if (unknown.length) {
+      return `${name} filters on unknown events: ${unknown.join(', ')}`;
+    }
+    const required = { webhook: ['url'], discord: ['url'], email: ['host', 'to'], file: ['path'], telegram: [] }[notifier.type];
+    const missing = required.find(key => !notifier[key]);
+    if (missing) {
+      return `${name} (${notifier.type}) needs "${missing}"`;
+    }
+  }
+  return null;
+}
+
+// Fans run events out to every configured backend whose event filter matches.
+// frontEnd is the front-end's own notify(event), filtered by a 'telegram' entry in the settings.
+// Tokens are dropped and secrets redacted from every string field, and a failing backend is reported on the console without interrupting the run.
+export class Notifier {
+  constructor(settings = [], { frontEnd } = {}) {
+    this.backends = settings
+      .filter(({ type }) => type !== 'telegram')
+      .map(({ type, events, ...options }) => ({ type, events, backend: new BACKENDS[type](options) }));
+    if (frontEnd) {
+      const events = settings.find(({ type }) => type === 'telegram')?.events;
+      this.backends.push({ type: 'telegram', events, backend: { send: frontEnd } });
+    }
+  }
+
+  // Whether a backend's filter lets an event through, no filter lets everything but the quiet events through
+  static accepts(events, type) {
+    return events?.length ? events.includes(type) : !QUIET_EVENTS.includes(type);
+  }
+
+  async notify({ token, ...event }) {
+    const stamped = Object.fromEntries(Object.entries({ time: new Date().toISOString(), ...event })
+      .map(([key, value]) => [key, typeof value === 'string' ? logger.redact(value) : value]));
+    await Promise.all(this.backends
+      .filter(({ events }) => Notifier.accepts(events, stamped.type))
+      .map(async ({ type, backend }) => {
+        try {
+          await backend.send(stamped);
+        } catch (error) {
+          logger.error(chalk.red(`Error sending ${type} notification: ${error.message}`));
+        }
+      }));
+  }
+}
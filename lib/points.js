@@ -0,0 +1,163 @@
+import fs from 'fs-extra';
+import { readJsonLines, csvField } from './results.js';
+
+export const POINT_FIELDS = ['commission', 'rewardPoints', 'registerPoints', 'twitterPoints', 'discordPoints', 'telegramPoints', 'total'];
+
+export const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Append-only JSONL history of each account's points breakdown, one snapshot per account per run
+export class PointsHistory {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async record(runId, account, breakdown) {
+    const snapshot = { time: new Date().toISOString(), runId, account, ...breakdown };
+    await fs.appendFile(this.filePath, `${JSON.stringify(snapshot)}\n`);
+    return snapshot;
+  }
+
+  readAll() {
+    return readJsonLines(this.filePath);
+  }
+
+  // Latest snapshot of an account, read before recording a new one to compute the delta
+  async previous(account) {
+    const snapshots = (await this.readAll()).filter(snapshot => snapshot.account === account);
+    return snapshots.at(-1) || null;
+  }
+}
+
+// Change of every point field between two snapshots, null without an earlier snapshot
+export function pointsDelta(current, previous) {
+  if (!previous) {
+    return null;
+  }
+  return Object.fromEntries(POINT_FIELDS.map(field => [field, (current[field] || 0) - (previous[field] || 0)]));
+}
+
+// Latest breakdown and change per account, plus the total of every run over time
+export function buildPointsReport(snapshots) {
+  const byAccount = new Map();
+  for (const snapshot of snapshots) {
+    byAccount.set(snapshot.account, [...(byAccount.get(snapshot.account) || []), snapshot]);
+  }
+
+  const accounts = [...byAccount.entries()].map(([account, history]) => {
+    const latest = history.at(-1);
+    return {
+      account,
+      time: latest.time,
+      runId: latest.runId,
+      ...Object.fromEntries(POINT_FIELDS.map(field => [field, latest[field] || 0])),
+      delta: pointsDelta(latest, history.at(-2))?.total ?? null
+    };
+  });
+
+  // Carry each account's latest known total forward so a run that skipped an account doesn't look like a drop
+  const runs = [];
+  const known = new Map();
+  const runIds = [...new Set(snapshots.map(snapshot => snapshot.runId))];
+  for (const runId of runIds) {
+    const runSnapshots = snapshots.filter(snapshot => snapshot.runId === runId);
+    for (const snapshot of runSnapshots) {
+      known.set(snapshot.account, snapshot.total || 0);
+    }
+    const total = [...known.values()].reduce((sum, value) => sum + value, 0);
+    runs.push({
+      runId,
+      time: runSnapshots[0].time,
+      accounts: runSnapshots.length,
+      total,
+      change: runs.length ? total - runs.at(-1).total : null
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    total: accounts.reduce((sum, account) => sum + account.total, 0),
+    accounts,
+    runs
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function signed(value) {
+  return value === null ? '' : value > 0 ? `+${value}` : String(value);
+}
+
+// Per-account rows as CSV
+export function pointsReportToCsv(report) {
+  const columns = ['account', 'time', 'runId', ...POINT_FIELDS, 'delta'];
+  const rows = report.accounts.map(row => columns.map(column => csvField(row[column])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Self-contained HTML page with the account table and the totals over time
+export function pointsReportToHtml(report) {
+  const accountRows = report.accounts.map(row => `
+      <tr>
+        <td>${escapeHtml(row.account)}</td>
+        ${POINT_FIELDS.map(field => `<td class="num">${row[field]}</td>`).join('')}
+        <td class="num ${row.delta > 0 ? 'up' : row.delta < 0 ? 'down' : ''}">${signed(row.delta)}</td>
+        <td>${escapeHtml(row.time)}</td>
+      </tr>`).join('');
+  const runRows = report.runs.map(run => `
+      <tr>
+        <td>${escapeHtml(run.runId)}</td>
+        <td>${escapeHtml(run.time)}</td>
+        <td class="num">${run.accounts}</td>
+        <td class="num">${run.total}</td>
+        <td class="num ${run.change > 0 ? 'up' : run.change < 0 ? 'down' : ''}">${signed(run.change)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Dawn points report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; }
+    th { background: #f3f3f3; }
+    .num { text-align: right; }
+    .up { color: #1a7f37; }
+    .down { color: #cf222e; }
+  </style>
+</head>
+<body>
+  <h1>Dawn points report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)}. Total points: <strong>${report.total}</strong></p>
+  <h2>Accounts</h2>
+  <table>
+    <thead>
+      <tr><th>Account</th>${POINT_FIELDS.map(field => `<th>${field}</th>`).join('')}<th>Change</th><th>Updated</th></tr>
+    </thead>
+    <tbody>${accountRows}
+    </tbody>
+  </table>
+  <h2>Totals over time</h2>
+  <table>
+    <thead>
+      <tr><th>Run</th><th>Time</th><th>Accounts</th><th>Total</th><th>Change</th></tr>
+    </thead>
+    <tbody>${runRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Render a report in one of REPORT_FORMATS
+export function renderPointsReport(report, format) {
+  if (format === 'csv') return pointsReportToCsv(report);
+  if (format === 'html') return pointsReportToHtml(report);
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
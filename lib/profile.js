@@ -0,0 +1,76 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { ConfigError } from './config.js';
+
+// Profile format version this code understands
+export const PROFILE_VERSION = 1;
+
+// Profiles shipped in the profiles/ directory, selectable by name
+export const PROFILES_DIR = new URL('../profiles/', import.meta.url);
+
+export const DEFAULT_PROFILE_NAME = 'aeropres';
+
+const REQUIRED_ENDPOINTS = ['puzzle', 'image', 'login', 'points'];
+
+// Check a parsed profile, raising a ConfigError that names the file for anything missing
+export function validateProfile(profile, source = 'profile') {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ConfigError(`Invalid API profile ${source}: expected a JSON object`);
+  }
+  if (profile.profileVersion !== PROFILE_VERSION) {
+    throw new ConfigError(`API profile ${source} has profileVersion ${profile.profileVersion}, expected ${PROFILE_VERSION}`);
+  }
+  for (const key of ['name', 'baseUrl', 'extensionVersion']) {
+    if (typeof profile[key] !== 'string' || !profile[key]) {
+      throw new ConfigError(`API profile ${source} is missing "${key}"`);
+    }
+  }
+  for (const key of REQUIRED_ENDPOINTS) {
+    if (typeof profile.endpoints?.[key] !== 'string') {
+      throw new ConfigError(`API profile ${source} is missing the "${key}" endpoint path`);
+    }
+  }
+  if (typeof profile.headers !== 'object' || profile.headers === null) {
+    throw new ConfigError(`API profile ${source} is missing "headers"`);
+  }
+  return profile;
+}
+
+// Path of a profile given by name (a file in profiles/) or by file path
+export function profilePath(nameOrPath = DEFAULT_PROFILE_NAME) {
+  if (nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+  return fileURLToPath(new URL(`${nameOrPath}.json`, PROFILES_DIR));
+}
+
+// Load and validate an API profile, with the file it came from as `source`
+export async function loadProfile(nameOrPath = DEFAULT_PROFILE_NAME) {
+  const filePath = profilePath(nameOrPath);
+  if (!await fs.pathExists(filePath)) {
+    const bundled = (await fs.readdir(PROFILES_DIR)).map(file => path.basename(file, '.json'));
+    throw new ConfigError(`API profile not found: ${nameOrPath} (bundled profiles: ${bundled.join(', ')})`);
+  }
+  let profile;
+  try {
+    profile = await fs.readJson(filePath);
+  } catch (error) {
+    throw new ConfigError(`Invalid API profile ${filePath}: ${error.message}`);
+  }
+  return { ...validateProfile(profile, filePath), source: filePath };
+}
+
+// The bundled default profile, read once when this module loads
+export const DEFAULT_PROFILE = validateProfile(fs.readJsonSync(profilePath(DEFAULT_PROFILE_NAME)), DEFAULT_PROFILE_NAME);
+
+// Compare dotted version strings numerically, negative when a is older than b
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+
+export const OUTCOMES = ['success', 'failure', 'abandoned'];
+
+// Identifier shared by every record of one run, sortable by start time
+export function createRunId(date = new Date()) {
+  return `${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Short, non-reversible reference to a token so records never hold the token itself
+export function tokenFingerprint(token) {
+  return `sha256:${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+}
+
+// Parse a --since/--until value: a duration back from now (30m, 12h, 7d) or a date
+export function parseTime(value, now = Date.now()) {
+  const match = /^(\d+)([mhd])$/.exec(value);
+  if (match) {
+    const unit = { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+    return new Date(now - Number(match[1]) * unit);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${value}", use a date or a duration like 12h`);
+  }
+  return date;
+}
+
+// Every record of a JSONL file, skipping lines that are not valid JSON; empty when the file does not exist
+export async function readJsonLines(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    return [];
+  }
+  const content = await fs.readFile(filePath, 'utf8');
+  return content.split('\n').flatMap((line) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Append-only JSONL log with one record per login attempt
+export class ResultsStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Append one attempt: { runId, account, attempt, outcome, errorCategory, error, points, tokenRef }
+  async record(entry) {
+    const record = { time: new Date().toISOString(), ...entry };
+    if (record.error) {
+      record.error = logger.redact(record.error);
+    }
+    await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  // Every record in the file, skipping lines that are not valid JSON
+  readAll() {
+    return readJsonLines(this.filePath);
+  }
+
+  // The most recent record of every account
+  async latestByAccount() {
+    const latest = new Map();
+    for (const record of await this.readAll()) {
+      latest.set(record.account, record);
+    }
+    return latest;
+  }
+
+  // Records matching every given filter; run: 'last' selects the most recent run
+  async query({ since, until, outcome, account, category, run } = {}) {
+    const records = await this.readAll();
+    const runId = run === 'last' ? records.at(-1)?.runId : run;
+    return records.filter(record =>
+      (!since || new Date(record.time) >= since) &&
+      (!until || new Date(record.time) <= until) &&
+      (!outcome || record.outcome === outcome) &&
+      (!account || record.account === account) &&
+      (!category || record.errorCategory === category) &&
+      (!runId || record.runId === runId)
+    );
+  }
+}
+
+const CSV_COLUMNS = ['time', 'runId', 'account', 'attempt', 'outcome', 'errorCategory', 'error', 'points', 'tokenRef'];
+
+// One CSV field, quoted when it holds a quote, comma or newline
+export function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render records as CSV with a header row
+export function recordsToCsv(records) {
+  const rows = records.map(record => CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,201 @@
+import chalk from 'chalk';
+import { createRunId } from './results.js';
+import { CancelledError, classifyError, retryPolicyFor } from './errors.js';
+import { calculateRetryDelay, sleep } from './transport.js';
+import { logger } from './logger.js';
+
+// Show a points change with its sign
+export function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+// Perform login for a single account, retrying as the failure's category policy allows, capped at config.maxAttempts.
+// Resolves to { success: true }, { success: false, category }, or { success: false, cancelled: true } once control skips the account or stops the run.
+// An abandoned account is recorded with outcome 'abandoned'.
+// Everything logged meanwhile carries the account and attempt.
+export function loginAccountWithRetry(email, password, options) {
+  logger.addSecret(password);
+  return logger.withContext({ account: email }, () => attemptLogins(email, password, options));
+}
+
+async function attemptLogins(email, password, { client, solver, config, tokens, results, history, runId, notify, control, signal }) {
+  const cancelled = async (error, attempt) => {
+    if (!(error instanceof CancelledError && control?.isCancelled(email))) {
+      throw error;
+    }
+    const reason = control.stopped ? control.stopReason : 'skipped by the operator';
+    await results.record({ runId, account: email, attempt, outcome: 'abandoned', error: reason });
+    return { success: false, cancelled: true };
+  };
+
+  for (let loginAttempt = 1; ; loginAttempt++) {
+    logger.setContext({ attempt: loginAttempt });
+    logger.info(chalk.cyan(`\nAttempt ${loginAttempt} for ${email}`));
+    await notify({ type: 'attempt-start', runId, account: email, attempt: loginAttempt });
+
+    // Only the login itself is classified and retried; a failure to store its outcome propagates,
+    // as logging in again would spend another captcha on a login that already succeeded
+    let session;
+    try {
+      session = await client.login(email, password, solver, {
+        signal,
+        onStep: (step) => notify({ ...step, runId, account: email, attempt: loginAttempt })
+      });
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        return cancelled(error, loginAttempt);
+      }
+      const category = classifyError(error);
+      const policy = retryPolicyFor(config.retryPolicies, category);
+      logger.warn(chalk.red(`✗ Login attempt ${loginAttempt} failed for ${email} [${category}]: ${error.message}`));
+
+      await notify({ type: 'attempt-failed', runId, account: email, attempt: loginAttempt, category, error: error.message });
+
+      await results.record({
+        runId,
+        account: email,
+        attempt: loginAttempt,
+        outcome: 'failure',
+        errorCategory: category,
+        error: error.message
+      });
+
+      if (loginAttempt >= Math.min(config.maxAttempts, policy.maxAttempts)) {
+        const reason = policy.maxAttempts === 1 ? 'not retried' : `gave up after ${loginAttempt} attempts`;
+        logger.error(chalk.red(`✗ Login failed for ${email} [${category}, ${reason}]: ${error.message}`));
+        await notify({ type: 'login-failure', runId, account: email, attempts: loginAttempt, category, error: error.message });
+        return { success: false, category };
+      }
+
+      // Calculate delay for next attempt
+      const delay = calculateRetryDelay(loginAttempt, policy.delay ?? config.retryDelay, policy.backoff);
+      const delaySeconds = Math.round(delay / 1000);
+
+      await notify({ type: 'retry-wait', runId, account: email, attempt: loginAttempt, delay });
+      logger.info(chalk.yellow(`Waiting ${delaySeconds} seconds before next attempt...`));
+      try {
+        await sleep(delay, signal);
+      } catch (sleepError) {
+        return cancelled(sleepError, loginAttempt);
+      }
+      continue;
+    }
+
+    const { token, appId } = session;
+    logger.addSecret(token);
+    // Store the token first, it is what a later write failure would otherwise lose
+    const tokenRef = await tokens.save(email, token);
+    const breakdown = await client.getPointsBreakdown(token, appId);
+    const points = breakdown?.total || 0;
+    const previous = breakdown && history ? await history.previous(email) : null;
+    if (breakdown && history) {
+      await history.record(runId, email, breakdown);
+    }
+
+    logger.info(chalk.green(`✓ Login successful for ${email}`));
+    logger.info(chalk.green(`✓ Points: ${points}${previous ? ` (${formatDelta(points - previous.total)} since last run)` : ''}`));
+
+    await results.record({ runId, account: email, attempt: loginAttempt, outcome: 'success', points, tokenRef });
+    await notify({ type: 'login-success', runId, account: email, attempt: loginAttempt, points, token });
+    return { success: true };
+  }
+}
+
+// Log in every account in turn and report a summary, checkpointing after each account when given a checkpoint.
+// A RunControl lets an operator pause, skip accounts, queue an account again or stop; a stopped run is left unfinished so --resume picks it up.
+// The summary counts every account once, by its latest outcome.
+export async function runLogins(credentials, { client, solver, config, tokens, results, history, checkpoint, control, runId = createRunId(), notify = async () => {} }) {
+  logger.info(chalk.cyan(`\nFound ${credentials.length} accounts to process (run ${runId})`));
+  await notify({ type: 'run-start', runId, total: credentials.length });
+  control?.start(runId, credentials.length, credentials.map(cred => cred.email));
+
+  const queue = [...credentials];
+  // email -> 'skipped', or the login result
+  const outcomes = new Map();
+  const queueReruns = () => {
+    for (const email of control?.takeReruns() || []) {
+      const cred = credentials.find(item => item.email === email);
+      logger.info(chalk.cyan(`Queued ${email} to log in again`));
+      queue.push(cred);
+    }
+  };
+  const summarize = () => {
+    const summary = { successful: 0, failed: 0, skipped: 0, failures: {} };
+    for (const outcome of outcomes.values()) {
+      if (outcome === 'skipped') {
+        summary.skipped++;
+      } else if (outcome.success) {
+        summary.successful++;
+      } else {
+        summary.failed++;
+        summary.failures[outcome.category] = (summary.failures[outcome.category] || 0) + 1;
+      }
+    }
+    return summary;
+  };
+
+  try {
+    for (let index = 0; index < queue.length; index++) {
+      const cred = queue[index];
+      await control?.waitWhilePaused();
+      if (control?.stopped) {
+        break;
+      }
+      if (control?.isCancelled(cred.email)) {
+        logger.info(chalk.gray(`Skipping ${cred.email}: skipped by the operator`));
+        outcomes.set(cred.email, 'skipped');
+        control.finishAccount('skipped', cred.email);
+        queueReruns();
+        continue;
+      }
+
+      logger.info(chalk.cyan(`\nProcessing account ${index + 1}/${queue.length}`));
+      await notify({ type: 'account-start', runId, account: cred.email, index: index + 1, total: queue.length });
+
+      const signal = control?.startAccount(cred.email);
+      const result = await loginAccountWithRetry(cred.email, cred.password, { client, solver, config, tokens, results, history, runId, notify, control, signal });
+      if (result.cancelled) {
+        control.finishAccount('skipped', cred.email);
+        if (control.stopped) {
+          break;
+        }
+        logger.warn(chalk.yellow(`Abandoned ${cred.email}: skipped by the operator`));
+        outcomes.set(cred.email, 'skipped');
+        queueReruns();
+        continue;
+      }
+      outcomes.set(cred.email, result);
+      control?.finishAccount(result.success ? 'success' : 'failure', cred.email);
+      await checkpoint?.markAccount(cred.email, result.success ? 'success' : 'failure');
+
+      // Wait between accounts
+      queueReruns();
+      if (index < queue.length - 1) {
+        await sleep(config.accountDelay);
+        queueReruns();
+      }
+    }
+    if (control?.stopped) {
+      logger.warn(chalk.yellow(`\nRun ${control.stopReason}${checkpoint ? ', continue it with --resume' : ''}`));
+    } else {
+      await checkpoint?.finish();
+    }
+  } finally {
+    control?.finish();
+    const { successful, failed, skipped, failures } = summarize();
+    logger.info(chalk.cyan('\nProcessing completed'));
+    logger.info(chalk.green(`✓ Successful logins: ${successful}`));
+    logger.info(chalk.red(`✗ Failed logins: ${failed}`));
+    const breakdown = Object.entries(failures).map(([category, count]) => `${category}: ${count}`).join(', ');
+    if (breakdown) {
+      logger.info(chalk.red(`  ${breakdown}`));
+    }
+    if (skipped) {
+      logger.info(chalk.gray(`- Skipped: ${skipped}`));
+    }
+
+    await notify({ type: 'run-end', runId, successful, failed, skipped, stopped: Boolean(control?.stopped), failures });
+  }
+
+  return { runId, ...summarize(), stopped: Boolean(control?.stopped) };
+}
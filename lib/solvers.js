@@ -0,0 +1,124 @@
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { CancelledError } from './errors.js';
+import { logger } from './logger.js';
+
+const CAPTCHA_TIMEOUT = 120000; // 2 minutes timeout for captcha solving
+const CAPTCHA_FILE = 'temp_captcha.png';
+
+export const SOLVER_TYPES = ['2captcha', 'anticaptcha', 'gemini', 'manual', 'telegram'];
+
+// Decode a captcha image, enlarged with sharp when it is available
+async function resizeCaptcha(base64Image) {
+  const imageBuffer = Buffer.from(base64Image, 'base64');
+  let sharp;
+  try {
+    sharp = (await import('sharp')).default;
+  } catch {
+    return imageBuffer;
+  }
+  return sharp(imageBuffer)
+    .resize(300) // Make it easier to see
+    .png()
+    .toBuffer();
+}
+
+// Save captcha image to file
+async function saveCaptchaImage(base64Image) {
+  try {
+    await fs.writeFile(CAPTCHA_FILE, await resizeCaptcha(base64Image));
+    logger.info(chalk.green(`✓ Saved captcha image to ${CAPTCHA_FILE}`));
+  } catch (error) {
+    throw new Error(`Failed to save captcha image: ${error.message}`);
+  }
+}
+
+// Build the solve function for a given solver type
+async function buildSolve(type, apiKey, options) {
+  if (type === 'manual' && options.captchaPage) {
+    return async (base64Image, { signal, account } = {}) => {
+      let image;
+      try {
+        image = await resizeCaptcha(base64Image);
+      } catch (error) {
+        throw new Error(`Failed to prepare captcha image: ${error.message}`);
+      }
+      return options.captchaPage.ask(image, { account, signal });
+    };
+  }
+
+  if (type === 'manual') {
+    return async (base64Image, { signal } = {}) => {
+      await saveCaptchaImage(base64Image);
+      return options.prompt(chalk.cyan(`\nPlease check ${CAPTCHA_FILE} and enter the captcha code: `), { signal });
+    };
+  }
+
+  if (type === '2captcha') {
+    const { Solver } = await import('2captcha-ts');
+    const solver = new Solver(apiKey);
+    return async (base64Image) => {
+      const result = await solver.imageCaptcha({
+        body: base64Image,
+        numeric: 1,
+        minLength: 4,
+        maxLength: 4
+      });
+      return result.data;
+    };
+  }
+
+  if (type === 'anticaptcha') {
+    const ac = (await import('@antiadmin/anticaptchaofficial')).default;
+    ac.setAPIKey(apiKey);
+    return (base64Image) => ac.solveImage(base64Image, true);
+  }
+
+  if (type === 'gemini') {
+    const { GoogleGenerativeAI } = await import('@google/generative-ai');
+    const genAI = new GoogleGenerativeAI(apiKey);
+    return async (base64Image) => {
+      const geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+      const result = await geminiModel.generateContent([
+        'What is the text shown in this captcha image? The text may contain both letters and numbers. Only respond with the exact text shown, nothing else. Be very careful to distinguish between similar looking characters (like 0 vs O, 1 vs I, etc).',
+        { inlineData: { data: base64Image, mimeType: 'image/png' } }
+      ]);
+      return result.response.text().trim();
+    };
+  }
+
+  if (type === 'telegram') {
+    return async (base64Image, { signal } = {}) => {
+      await saveCaptchaImage(base64Image);
+
+      // Send image to Telegram and wait for a reply to it
+      return options.telegram.askCaptcha(CAPTCHA_FILE, { timeout: CAPTCHA_TIMEOUT, signal });
+    };
+  }
+
+  throw new Error(`Unknown captcha solver: ${type}`);
+}
+
+// Create a captcha solver exposing solve(base64Image, { signal, account }) -> captcha text.
+// 'manual' answers through options.captchaPage (a CaptchaPage) when given, else options.prompt;
+// options.telegram (a TelegramOperator) is required for 'telegram'.
+export async function createSolver(type, apiKey, options = {}) {
+  const solve = await buildSolve(type, apiKey, options);
+  return {
+    type,
+    async solve(base64Image, { signal, account } = {}) {
+      try {
+        const captchaText = await solve(base64Image, { signal, account });
+        if (type !== 'manual') {
+          logger.info(chalk.green(`✓ Solved captcha: ${captchaText}`));
+        }
+        return captchaText;
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          throw error;
+        }
+        throw new Error(`Failed to solve captcha: ${error.message}`);
+      }
+    }
+  };
+}
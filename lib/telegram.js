@@ -0,0 +1,229 @@
+import chalk from 'chalk';
+import { ConfigError } from './config.js';
+import { CancelledError } from './errors.js';
+import { logger } from './logger.js';
+
+const HELP = `<b>Commands</b>
+/status - progress of the current run
+/pause - hold the run after the current account
+/resume - continue a paused run
+/skip &lt;email&gt; - leave an account out, abandoning it if it is being logged in
+/stop - abandon the current account and end the run
+
+Answer a captcha by replying to its photo with the text you see.`;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Status message for a run event, in Telegram's HTML
+export function formatTelegramEvent(event) {
+  switch (event.type) {
+    case 'run-start':
+      return `🚀 <b>Starting Login Process</b>\n\nTotal Accounts: ${event.total}`;
+    case 'account-start':
+      return `📝 <b>Processing Account ${event.index}/${event.total}</b>`;
+    case 'attempt-start':
+      return `🔄 <b>Login Attempt ${event.attempt}</b>\n\nAccount: ${escapeHtml(event.account)}`;
+    case 'puzzle-fetched':
+      return `🧩 Got puzzle for ${escapeHtml(event.account)}`;
+    case 'captcha-answered':
+      return `✍️ Captcha answered for ${escapeHtml(event.account)}`;
+    case 'attempt-failed':
+      return `❌ <b>Login Failed</b>\n\nAccount: ${escapeHtml(event.account)}\nAttempt: ${event.attempt}\nCategory: ${event.category}\nError: ${escapeHtml(event.error)}`;
+    case 'retry-wait':
+      return `⏳ Waiting ${Math.round(event.delay / 1000)} seconds before next attempt...`;
+    case 'login-success':
+      return `✅ <b>Login Successful!</b>\n\nAccount: ${escapeHtml(event.account)}\nPoints: ${event.points}`;
+    case 'login-failure':
+      return `🛑 <b>Giving Up</b>\n\nAccount: ${escapeHtml(event.account)}\nCategory: ${event.category}\nAttempts: ${event.attempts}`;
+    case 'run-end': {
+      const breakdown = Object.entries(event.failures || {}).map(([category, count]) => `${category}: ${count}`).join(', ');
+      return `🏁 <b>Processing ${event.stopped ? 'Stopped' : 'Completed'}</b>\n\n✅ Successful logins: ${event.successful}\n❌ Failed logins: ${event.failed}` +
+        `${breakdown ? `\n${breakdown}` : ''}${event.skipped ? `\n⏭ Skipped: ${event.skipped}` : ''}`;
+    }
+    case 'tick-end':
+      if (event.error) {
+        return `⏰ <b>Token Check ${event.tick} Failed</b>\n\n${escapeHtml(event.error)}`;
+      }
+      return `⏰ <b>Token Check ${event.tick}</b>\n\n✅ Valid tokens: ${event.valid}/${event.checked}\n⌛ Expired: ${event.expired}` +
+        `\n🔑 Logged in again: ${event.successful}\n❌ Failed logins: ${event.failed}${event.deferred ? `\n⏭ Left for the next tick: ${event.deferred}` : ''}`;
+    case 'fatal':
+      return `🚨 <b>Fatal Error</b>\n\n${escapeHtml(event.error)}`;
+    default:
+      return escapeHtml(event.type);
+  }
+}
+
+// Split a comma separated list or an array of IDs into strings
+export function parseAllowList(value) {
+  if (!value) return [];
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+}
+
+// Talks to the operator through a Telegram bot: only allow-listed chats or users are heard,
+// captcha answers must reply to the captcha photo, and commands steer the run through a RunControl.
+export class TelegramOperator {
+  constructor(bot, { allow, chatId, control }) {
+    this.bot = bot;
+    this.allow = parseAllowList(allow);
+    if (chatId) {
+      this.allow.push(String(chatId));
+    }
+    if (this.allow.length === 0) {
+      throw new ConfigError('The Telegram bot needs an allow-list, pass --telegram-allow or --telegram-chat-id');
+    }
+    this.chatId = chatId;
+    this.control = control;
+    this.pending = new Map();
+    this.chatWaiters = [];
+  }
+
+  // Start listening to the bot
+  start() {
+    this.bot.on('message', (msg) => {
+      this.handle(msg).catch(error => logger.error(chalk.red(`Error handling Telegram message: ${error.message}`)));
+    });
+  }
+
+  isAllowed(msg) {
+    return this.allow.includes(String(msg.chat?.id)) || this.allow.includes(String(msg.from?.id));
+  }
+
+  // Resolve once an allowed chat is known, aborting signal rejects with a CancelledError
+  waitForChat({ signal } = {}) {
+    if (this.chatId) return Promise.resolve(this.chatId);
+    if (signal?.aborted) return Promise.reject(new CancelledError('Stopped while waiting for the Telegram chat'));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.chatWaiters.splice(this.chatWaiters.indexOf(waiter), 1);
+        reject(new CancelledError('Stopped while waiting for the Telegram chat'));
+      };
+      const waiter = (chatId) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(chatId);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.chatWaiters.push(waiter);
+    });
+  }
+
+  // Send a status message to the operator's chat
+  async send(message) {
+    if (!this.chatId) return;
+    try {
+      await this.bot.sendMessage(this.chatId, message, { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error(chalk.red(`Error sending Telegram message: ${error.message}`));
+    }
+  }
+
+  reply(msg, message) {
+    return this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML', reply_to_message_id: msg.message_id });
+  }
+
+  // Send a captcha photo and resolve with the text of the first allowed reply to it
+  async askCaptcha(file, { timeout, signal } = {}) {
+    if (signal?.aborted) {
+      throw new CancelledError('Captcha request was cancelled');
+    }
+    const sent = await this.bot.sendPhoto(this.chatId, file, {
+      caption: `Please solve this captcha${this.control?.current ? ` for ${this.control.current}` : ''}. Reply to this photo with the text/numbers you see.`
+    });
+    if (signal?.aborted) {
+      throw new CancelledError('Captcha request was cancelled');
+    }
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(sent.message_id);
+      };
+      const onAbort = () => {
+        done();
+        reject(new CancelledError('Captcha request was cancelled'));
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error('Captcha solving timeout'));
+      }, timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pending.set(sent.message_id, (text) => {
+        done();
+        resolve(text);
+      });
+    });
+  }
+
+  async handle(msg) {
+    if (!this.isAllowed(msg)) {
+      logger.warn(chalk.yellow(`Ignoring Telegram message from unauthorized chat ${msg.chat?.id} (user ${msg.from?.id})`));
+      return;
+    }
+    if (!this.chatId) {
+      this.chatId = msg.chat.id;
+      logger.info(chalk.green(`✓ Telegram chat ID set: ${this.chatId}`));
+      this.chatWaiters.splice(0).forEach(resolve => resolve(this.chatId));
+    }
+
+    const text = typeof msg.text === 'string' ? msg.text.trim() : '';
+    if (!text) {
+      await this.reply(msg, 'Only text messages are understood. Reply to the captcha photo with its text, or send /help.');
+      return;
+    }
+    if (text.startsWith('/')) {
+      await this.command(msg, text);
+      return;
+    }
+
+    const answer = this.pending.get(msg.reply_to_message?.message_id);
+    if (!answer) {
+      await this.reply(msg, this.pending.size
+        ? 'Please send the answer as a reply to the captcha photo.'
+        : 'No captcha is waiting for an answer. Send /help for the commands.');
+      return;
+    }
+    answer(text);
+  }
+
+  async command(msg, text) {
+    const [command, ...args] = text.slice(1).split(/\s+/);
+    const name = command.split('@')[0].toLowerCase();
+    const control = this.control;
+
+    if (name === 'help' || name === 'start') {
+      await this.reply(msg, HELP);
+    } else if (!control) {
+      await this.reply(msg, 'No login run is in progress.');
+    } else if (name === 'status') {
+      const status = control.status();
+      await this.reply(msg, [
+        `<b>Run ${status.runId || '-'}</b>: ${status.state}`,
+        status.current ? `Current account: ${status.current}` : null,
+        `Progress: ${status.done}/${status.total}`,
+        `✅ ${status.successful}  ❌ ${status.failed}  ⏭ ${status.skipped}`
+      ].filter(Boolean).join('\n'));
+    } else if (name === 'pause') {
+      await this.reply(msg, control.pause()
+        ? `⏸ Pausing${control.current ? ` after ${control.current}` : ''}, send /resume to continue`
+        : 'The run is already paused or stopping.');
+    } else if (name === 'resume') {
+      await this.reply(msg, control.resume() ? '▶️ Resumed' : 'The run is not paused.');
+    } else if (name === 'skip') {
+      const [email] = args;
+      if (!email) {
+        await this.reply(msg, 'Usage: /skip &lt;email&gt;');
+        return;
+      }
+      control.skip(email);
+      await this.reply(msg, `⏭ Skipping ${escapeHtml(email)}${control.current === email ? ', abandoning the current login' : ''}`);
+    } else if (name === 'stop') {
+      control.stop();
+      await this.reply(msg, '⏹ Stopping the run, continue it later with --resume');
+    } else {
+      await this.reply(msg, `Unknown command /${escapeHtml(name)}. Send /help for the commands.`);
+    }
+  }
+}
@@ -0,0 +1,62 @@
+import fs from 'fs-extra';
+import { tokenFingerprint } from './results.js';
+
+// Tokens kept as a JSON map of email -> { token, issuedAt }, readable by the owner only
+export class FileTokenStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.location = filePath;
+  }
+
+  async readFile() {
+    return await fs.pathExists(this.filePath) ? fs.readJson(this.filePath) : {};
+  }
+
+  async save(email, token) {
+    const tokens = await this.readFile();
+    tokens[email] = { token, issuedAt: new Date().toISOString() };
+    await fs.writeJson(this.filePath, tokens, { spaces: 2, mode: 0o600 });
+    return `${this.location}#${tokenFingerprint(token)}`;
+  }
+
+  async load() {
+    return new Map(Object.entries(await this.readFile()).map(([email, { token }]) => [email, token]));
+  }
+
+  // Record whether the server still accepts a stored token
+  async mark(email, status) {
+    const tokens = await this.readFile();
+    if (tokens[email]) {
+      tokens[email] = { ...tokens[email], status, checkedAt: new Date().toISOString() };
+      await fs.writeJson(this.filePath, tokens, { spaces: 2, mode: 0o600 });
+    }
+  }
+}
+
+// Tokens kept encrypted inside the vault
+export class VaultTokenStore {
+  constructor(vault) {
+    this.vault = vault;
+    this.location = vault.filePath;
+  }
+
+  async save(email, token) {
+    this.vault.setToken(email, token);
+    await this.vault.save();
+    return `vault#${tokenFingerprint(token)}`;
+  }
+
+  async load() {
+    return new Map(Object.entries(this.vault.tokens).map(([email, { token }]) => [email, token]));
+  }
+
+  async mark(email, status) {
+    this.vault.markToken(email, status);
+    await this.vault.save();
+  }
+}
+
+// Pick the token store for a run: the vault when one is unlocked, else the tokens file
+export function createTokenStore(config, vault) {
+  return vault ? new VaultTokenStore(vault) : new FileTokenStore(config.tokensFile);
+}
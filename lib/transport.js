@@ -0,0 +1,174 @@
+import fetch from 'node-fetch';
+import chalk from 'chalk';
+import { CancelledError, DawnError, categorizeResponse, classifyError } from './errors.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_TIMEOUT = 30000;
+
+// Calculate delay for next retry attempt with exponential backoff
+export function calculateRetryDelay(attempt, initialDelay, backoff = 1.5) {
+  return initialDelay * Math.pow(backoff, attempt - 1);
+}
+
+// Wait for ms milliseconds, rejecting with a CancelledError as soon as the signal aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Check a value against a declared schema ({ type, properties, required, items }).
+// Returns a description of the first mismatch, or null when the value fits.
+export function checkSchema(schema, value, path = '') {
+  if (value === undefined || value === null) {
+    return `${path || 'body'} is missing`;
+  }
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  if (schema.type && schema.type !== type) {
+    return `${path || 'body'} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${type}`;
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      return `${path ? `${path}.` : ''}${key} is missing`;
+    }
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (value[key] !== undefined && value[key] !== null) {
+      const problem = checkSchema(property, value[key], path ? `${path}.${key}` : key);
+      if (problem) return problem;
+    }
+  }
+  if (schema.items && type === 'array') {
+    for (const [index, item] of value.entries()) {
+      const problem = checkSchema(schema.items, item, `${path || 'body'}[${index}]`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+// Parse a JSON body, raising a malformed_response error for anything else
+function parseJson(text, endpoint, status) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new DawnError(`Malformed JSON in ${endpoint.name} response`, { category: 'malformed_response', status });
+  }
+}
+
+// Single request layer for the aeropres API: per-request timeouts, retries with a shared backoff,
+// cancellation through an AbortSignal and schema checks on every response.
+export class Transport {
+  constructor({ baseUrl, timeout = DEFAULT_TIMEOUT, retries = 3, retryDelay = 1000, backoff = 2, signal } = {}) {
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.backoff = backoff;
+    this.signal = signal;
+  }
+
+  // Send one request to a declared endpoint ({ name, label, path, schema }) and return its validated JSON body.
+  // Failed attempts are retried up to `retries` times; aborting the transport's or the request's signal stops at once.
+  async request(endpoint, { method = 'GET', query = {}, headers = {}, body, retries = this.retries, signal: requestSignal } = {}) {
+    const signals = [this.signal, requestSignal].filter(Boolean);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+    const url = new URL(`${this.baseUrl}${endpoint.path}`);
+    for (const [key, value] of Object.entries(query)) {
+      url.searchParams.set(key, value);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(endpoint, url, { method, headers, body, signal });
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          throw error;
+        }
+        if (attempt >= retries) {
+          if (retries === 1) {
+            throw error;
+          }
+          throw new DawnError(`Failed to get ${endpoint.label || endpoint.name} after ${retries} attempts: ${error.message}`, {
+            category: classifyError(error),
+            status: error.status,
+            cause: error
+          });
+        }
+        logger.warn(chalk.yellow(`Attempt ${attempt}/${retries} failed, retrying...`));
+        await sleep(calculateRetryDelay(attempt, this.retryDelay, this.backoff), signal);
+      }
+    }
+  }
+
+  // One attempt: fetch under a timeout, then check the status and the body shape
+  async send(endpoint, url, { method, headers, body, signal }) {
+    if (signal?.aborted) {
+      throw new CancelledError(`Request to ${endpoint.name} was cancelled`);
+    }
+
+    const signals = signal ? [signal] : [];
+    if (this.timeout > 0) {
+      signals.push(AbortSignal.timeout(this.timeout));
+    }
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url.href, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: signals.length ? AbortSignal.any(signals) : undefined
+      });
+      text = await response.text();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new CancelledError(`Request to ${endpoint.name} was cancelled`, { cause: error });
+      }
+      if (error.name === 'AbortError') {
+        throw new DawnError(`Request to ${endpoint.name} timed out after ${this.timeout}ms`, { category: 'network_error', cause: error });
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      let message;
+      try {
+        message = JSON.parse(text)?.message;
+      } catch {
+        // Error pages are often HTML, the status alone has to do
+      }
+      throw new DawnError(message || `HTTP error! status: ${response.status}`, {
+        category: categorizeResponse(response.status, message),
+        status: response.status
+      });
+    }
+
+    const data = parseJson(text, endpoint, response.status);
+    if (data?.success === false) {
+      throw new DawnError(data.message || `${endpoint.name} request was not successful`, {
+        category: categorizeResponse(response.status, data.message),
+        status: response.status
+      });
+    }
+
+    const problem = endpoint.schema && checkSchema(endpoint.schema, data);
+    if (problem) {
+      throw new DawnError(`unexpected response from ${endpoint.name}: ${problem}`, { category: 'malformed_response', status: response.status });
+    }
+    return data;
+  }
+}
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+const VAULT_VERSION = 1;
+const KEY_LENGTH = 32;
+
+// Error for a vault that cannot be read, unlocked or written
+export class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VaultError';
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+}
+
+function encrypt(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    kdf: 'scrypt',
+    cipher: 'aes-256-gcm',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope, passphrase) {
+  if (envelope.version !== VAULT_VERSION) {
+    throw new VaultError(`Unsupported vault version: ${envelope.version}`);
+  }
+  try {
+    const key = deriveKey(passphrase, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new VaultError('Unable to unlock vault: wrong passphrase or corrupted file');
+  }
+}
+
+// Passphrase-encrypted store for account passwords, solver/bot API keys and issued tokens
+export class Vault {
+  constructor(filePath, passphrase, contents = {}) {
+    this.filePath = filePath;
+    this.passphrase = passphrase;
+    this.accounts = contents.accounts || [];
+    this.secrets = contents.secrets || {};
+    this.tokens = contents.tokens || {};
+  }
+
+  // Create a new, empty vault file
+  static async create(filePath, passphrase) {
+    if (await fs.pathExists(filePath)) {
+      throw new VaultError(`Vault already exists: ${filePath}`);
+    }
+    if (!passphrase) {
+      throw new VaultError('A passphrase is required to create a vault');
+    }
+    const vault = new Vault(filePath, passphrase);
+    await vault.save();
+    return vault;
+  }
+
+  // Open and decrypt an existing vault file
+  static async open(filePath, passphrase) {
+    let envelope;
+    try {
+      envelope = await fs.readJson(filePath);
+    } catch (error) {
+      throw new VaultError(`Unable to read vault ${filePath}: ${error.message}`);
+    }
+    return new Vault(filePath, passphrase, decrypt(envelope, passphrase));
+  }
+
+  // Encrypt and write the vault, readable by the owner only
+  async save() {
+    const envelope = encrypt({ accounts: this.accounts, secrets: this.secrets, tokens: this.tokens }, this.passphrase);
+    await fs.writeJson(this.filePath, envelope, { spaces: 2, mode: 0o600 });
+  }
+
+  // Add or update accounts by email, returns how many were added and updated
+  importAccounts(credentials) {
+    let added = 0;
+    let updated = 0;
+    for (const { email, password } of credentials) {
+      const existing = this.accounts.find(account => account.email === email);
+      if (existing) {
+        existing.password = password;
+        updated++;
+      } else {
+        this.accounts.push({ email, password });
+        added++;
+      }
+    }
+    return { added, updated };
+  }
+
+  // Remove an account and its token, returns whether it was there
+  removeAccount(email) {
+    const count = this.accounts.length;
+    this.accounts = this.accounts.filter(account => account.email !== email);
+    delete this.tokens[email];
+    return this.accounts.length < count;
+  }
+
+  setSecret(name, value) {
+    this.secrets[name] = value;
+  }
+
+  getSecret(name) {
+    return this.secrets[name];
+  }
+
+  setToken(email, token) {
+    this.tokens[email] = { token, issuedAt: new Date().toISOString() };
+  }
+
+  markToken(email, status) {
+    if (this.tokens[email]) {
+      this.tokens[email] = { ...this.tokens[email], status, checkedAt: new Date().toISOString() };
+    }
+  }
+}
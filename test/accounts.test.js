@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer } from './mockServer.js';
+import { FAST_ARGS, makeWorkdir, readLines, readResults, runScript } from './helpers.js';
+import { AccountRegistry, parseTags } from '../lib/accounts.js';
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: {
+      ...Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])),
+      'carol@example.com': 'carol-pass'
+    },
+    points: { 'alice@example.com': 150, 'bob@example.com': 40 }
+  });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.steps = { puzzle: [], image: [], login: [], points: [] };
+  server.requests = [];
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+const accounts = (...args) => runScript('index.js', { cwd: workdir, baseUrl, args: ['accounts', ...args] });
+const registry = () => fs.readJson(path.join(workdir, 'accounts.json'));
+const loggedIn = async () => (await readResults(workdir)).map(({ account }) => account);
+
+describe('account registry', () => {
+  it('normalizes tags', () => {
+    assert.deepEqual(parseTags(' Main, eu,,main '), ['main', 'eu']);
+    assert.deepEqual(parseTags(undefined), []);
+  });
+
+  it('selects enabled accounts carrying one of the tags', () => {
+    const accountRegistry = new AccountRegistry('accounts.json', {
+      'alice@example.com': { enabled: true, tags: ['main'] },
+      'bob@example.com': { enabled: false, tags: ['main'] }
+    });
+    const credentials = [...ACCOUNTS, { email: 'carol@example.com', password: 'carol-pass' }];
+
+    const { selected, disabled, untagged } = accountRegistry.select(credentials, { tags: ['main'] });
+    assert.deepEqual(selected.map(({ email }) => email), ['alice@example.com']);
+    assert.deepEqual(disabled, ['bob@example.com']);
+    assert.deepEqual(untagged, ['carol@example.com']);
+  });
+});
+
+describe('accounts command', () => {
+  it('adds, lists, disables, enables and removes accounts', async () => {
+    let result = await accounts('add', 'carol@example.com', 'carol-pass', '--tags', 'Main,eu', '--notes', 'spare');
+    assert.equal(result.code, 0);
+    assert.deepEqual(await readLines(workdir, 'file.txt'), [
+      'alice@example.com:alice-pass',
+      'bob@example.com:bob-pass',
+      'carol@example.com:carol-pass'
+    ]);
+    const carol = (await registry()).accounts['carol@example.com'];
+    assert.deepEqual(carol.tags, ['main', 'eu']);
+    assert.equal(carol.notes, 'spare');
+    assert.ok(!JSON.stringify(await registry()).includes('carol-pass'));
+
+    assert.equal((await accounts('add', 'alice@example.com', '--tags', 'backup')).code, 0);
+    assert.equal((await readLines(workdir, 'file.txt')).length, 3);
+    assert.deepEqual((await registry()).accounts['alice@example.com'].tags, ['backup']);
+
+    assert.equal((await accounts('disable', 'bob@example.com')).code, 0);
+    result = await accounts('list');
+    assert.match(result.stdout, /disabled bob@example\.com/);
+    assert.match(result.stdout, /carol@example\.com \[main, eu\]/);
+    assert.match(result.stdout, /3 accounts, 2 enabled/);
+
+    result = await accounts('list', '--tags', 'main');
+    assert.match(result.stdout, /carol@example\.com/);
+    assert.doesNotMatch(result.stdout, /alice@example\.com/);
+
+    assert.equal((await accounts('enable', 'bob@example.com')).code, 0);
+    assert.equal((await registry()).accounts['bob@example.com'].enabled, true);
+
+    assert.equal((await accounts('remove', 'carol@example.com')).code, 0);
+    assert.equal((await readLines(workdir, 'file.txt')).length, 2);
+    assert.ok(!('carol@example.com' in (await registry()).accounts));
+
+    assert.equal((await accounts('remove', 'carol@example.com')).code, 1);
+    assert.equal((await accounts('add', 'not-an-email', 'dave-pass')).code, 2);
+  });
+
+  it('skips disabled accounts and filters runs by tag', async () => {
+    await accounts('disable', 'bob@example.com');
+    let result = await runScript('index.js', { cwd: workdir, baseUrl });
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /Leaving out 1 disabled account/);
+    assert.deepEqual(await loggedIn(), ['alice@example.com']);
+
+    await accounts('enable', 'bob@example.com');
+    await accounts('add', 'bob@example.com', '--tags', 'eu');
+    await fs.remove(path.join(workdir, 'results.jsonl'));
+    result = await runScript('index.js', { cwd: workdir, baseUrl, args: [...FAST_ARGS, '--tags', 'eu'] });
+    assert.equal(result.code, 0);
+    assert.deepEqual(await loggedIn(), ['bob@example.com']);
+  });
+
+  it('logs in even when the registry cannot be written', async () => {
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: [...FAST_ARGS, '--accounts-file', 'missing/accounts.json'] });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Error updating missing\/accounts\.json: .*ENOENT/);
+    assert.match(stdout, /Successful logins: 2/);
+    assert.equal(server.requests.filter(r => r.endpoint === 'login').length, 2);
+  });
+
+  it('records the latest login and error of each account', async () => {
+    server.script('login', 'ok', 'bad-credentials', 'bad-credentials', 'bad-credentials');
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const { accounts: recorded } = await registry();
+    assert.equal(recorded['alice@example.com'].lastPoints, 150);
+    assert.ok(Date.parse(recorded['alice@example.com'].lastLogin));
+    assert.equal(recorded['alice@example.com'].lastError, null);
+    assert.match(recorded['bob@example.com'].lastError, /^\[invalid_credentials\]/);
+    assert.ok(!('lastLogin' in recorded['bob@example.com']));
+
+    const { stdout } = await accounts();
+    assert.match(stdout, /alice@example\.com {2}last login .*, 150 points/);
+    assert.match(stdout, /last error .*\[invalid_credentials\]/);
+  });
+});
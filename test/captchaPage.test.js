@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import fetch from 'node-fetch';
+import { CaptchaPage } from '../lib/captchaPage.js';
+import { createSolver } from '../lib/solvers.js';
+import { runLogins } from '../lib/runner.js';
+import { DawnClient } from '../lib/dawnClient.js';
+import { ResultsStore } from '../lib/results.js';
+import { RunControl } from '../lib/control.js';
+import { CancelledError } from '../lib/errors.js';
+import { MockAeropresServer, CAPTCHA_ANSWER } from './mockServer.js';
+import { makeTempDir } from './helpers.js';
+
+// The page and the runner report to the console, keep that out of the test output
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+const IMAGE = Buffer.from('png bytes');
+
+let page;
+
+beforeEach(async () => {
+  await page?.close();
+  page = new CaptchaPage();
+  await page.listen();
+});
+
+after(() => page.close());
+
+// Poll the page until n captchas are waiting
+async function waitForQueue(n) {
+  for (;;) {
+    const captchas = await (await fetch(`${page.url}/captchas`)).json();
+    if (captchas.length >= n) return captchas;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function answer(id, text) {
+  return fetch(`${page.url}/captchas/${id}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ answer: text })
+  });
+}
+
+describe('captcha page', () => {
+  it('serves the page, the queue and the images', async () => {
+    const waiting = ['alice@example.com', 'bob@example.com'].map(account => assert.rejects(page.ask(IMAGE, { account }), CancelledError));
+
+    const html = await fetch(page.url);
+    assert.match(html.headers.get('content-type'), /text\/html/);
+    assert.match(await html.text(), /position/);
+
+    const captchas = await waitForQueue(2);
+    assert.deepEqual(captchas.map(({ account, position }) => [account, position]), [['alice@example.com', 1], ['bob@example.com', 2]]);
+
+    const image = await fetch(`${page.url}/captchas/${captchas[0].id}/image`);
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await image.arrayBuffer()), IMAGE);
+
+    await page.close();
+    await Promise.all(waiting);
+    page = null;
+  });
+
+  it('hands each answer to the captcha it was typed for', async () => {
+    const first = page.ask(IMAGE, { account: 'alice@example.com' });
+    const second = page.ask(IMAGE, { account: 'bob@example.com' });
+    const [alice, bob] = await waitForQueue(2);
+
+    assert.equal((await answer(bob.id, '')).status, 400);
+    assert.equal((await answer(bob.id, ' 5678 ')).status, 200);
+    assert.equal((await fetch(`${page.url}/captchas/${alice.id}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: 'answer=1234'
+    })).status, 200);
+
+    assert.deepEqual(await Promise.all([first, second]), ['1234', '5678']);
+    assert.equal((await answer(alice.id, '1234')).status, 404);
+    assert.deepEqual(await waitForQueue(0), []);
+  });
+
+  it('drops a captcha whose login is abandoned', async () => {
+    const controller = new AbortController();
+    const abandoned = assert.rejects(page.ask(IMAGE, { signal: controller.signal }), CancelledError);
+    await waitForQueue(1);
+    controller.abort();
+
+    await abandoned;
+    assert.deepEqual(await waitForQueue(0), []);
+  });
+
+  it('answers a login run through the manual solver', async () => {
+    const server = new MockAeropresServer({ accounts: { 'alice@example.com': 'alice-pass' } });
+    const client = new DawnClient({ baseUrl: await server.listen() });
+    const workdir = await makeTempDir();
+    try {
+      const solver = await createSolver('manual', null, { captchaPage: page });
+      const run = runLogins([{ email: 'alice@example.com', password: 'alice-pass' }], {
+        client,
+        solver,
+        config: { maxAttempts: 1, retryDelay: 0, accountDelay: 0 },
+        tokens: { save: async () => 'ref' },
+        results: new ResultsStore(path.join(workdir, 'results.jsonl')),
+        control: new RunControl()
+      });
+
+      const [captcha] = await waitForQueue(1);
+      assert.equal(captcha.account, 'alice@example.com');
+      await answer(captcha.id, CAPTCHA_ANSWER);
+
+      assert.equal((await run).successful, 1);
+    } finally {
+      await server.close();
+    }
+  });
+});
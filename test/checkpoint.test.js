@@ -0,0 +1,86 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readResults, runScript } from './helpers.js';
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' },
+  { email: 'carol@example.com', password: 'carol-pass' }
+];
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])) });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.requests = [];
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+const loggedIn = () => server.requests
+  .filter(r => r.endpoint === 'login')
+  .map(r => JSON.parse(r.body).username);
+
+describe('checkpointing', () => {
+  it('saves progress after every account and marks the run finished', async () => {
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const state = await fs.readJson(path.join(workdir, 'run-state.json'));
+    assert.equal(state.finished, true);
+    assert.deepEqual(Object.keys(state.accounts), ACCOUNTS.map(a => a.email));
+    assert.equal(state.runId, (await readResults(workdir))[0].runId);
+  });
+
+  it('resumes an interrupted run under the same run id, skipping fresh successes', async () => {
+    await fs.writeJson(path.join(workdir, 'run-state.json'), {
+      runId: 'interrupted-run',
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      finished: false,
+      accounts: { 'alice@example.com': { outcome: 'success', time: new Date().toISOString() } }
+    });
+
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['--solver', 'manual', '--account-delay', '0', '--resume'] });
+
+    assert.match(stdout, /Resuming run interrupted-run/);
+    assert.match(stdout, /Skipping alice@example\.com: fresh success recorded/);
+    assert.deepEqual(loggedIn(), ['bob@example.com', 'carol@example.com']);
+    assert.ok((await readResults(workdir)).every(record => record.runId === 'interrupted-run'));
+  });
+
+  it('skips recent successes from earlier runs until they are older than --fresh-for', async () => {
+    await runScript('index.js', { cwd: workdir, baseUrl });
+    server.requests = [];
+
+    await runScript('index.js', { cwd: workdir, baseUrl, args: ['--solver', 'manual', '--account-delay', '0', '--resume'] });
+    assert.deepEqual(loggedIn(), []);
+
+    await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['--solver', 'manual', '--account-delay', '0', '--resume', '--fresh-for', '0m']
+    });
+    assert.equal(loggedIn().length, 3);
+  });
+
+  it('retries only the accounts whose latest attempt failed', async () => {
+    server.script('login', 'ok', 'bad-credentials');
+    await runScript('index.js', { cwd: workdir, baseUrl });
+    server.requests = [];
+
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['--solver', 'manual', '--only-failed'] });
+
+    assert.match(stdout, /Skipping alice@example\.com: latest attempt did not fail/);
+    assert.deepEqual(loggedIn(), ['bob@example.com']);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readLines, readResults, readTokens, runScript } from './helpers.js';
+
+const ACCOUNTS = [{ email: 'alice@example.com', password: 'alice-pass' }];
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: { 'alice@example.com': 'alice-pass' },
+    points: { 'alice@example.com': 150 }
+  });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+describe('command line', () => {
+  it('refuses to prompt for a missing solver without a terminal', async () => {
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['login'] });
+
+    assert.equal(code, 2);
+    assert.match(stdout, /No captcha solver configured, pass --solver or set DAWN_SOLVER/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('refuses to prompt for a missing API key without a terminal', async () => {
+    const { code, stdout } = await runScript('captchaTG.js', { cwd: workdir, baseUrl, args: ['--solver', '2captcha'] });
+
+    assert.equal(code, 2);
+    assert.match(stdout, /The 2captcha solver needs an API key/);
+  });
+
+  it('rejects unknown commands and solvers', async () => {
+    assert.equal((await runScript('index.js', { cwd: workdir, baseUrl, args: ['frobnicate'] })).code, 2);
+    assert.equal((await runScript('index.js', { cwd: workdir, baseUrl, args: ['--solver', 'magic'] })).code, 2);
+  });
+
+  it('rejects a solver the front-end does not offer', async () => {
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['login', '--solver', 'telegram', '--api-key', 'bot-token'] });
+
+    assert.equal(code, 2);
+    assert.match(stdout, /The telegram solver is not available in index\.js, use one of: 2captcha, anticaptcha, manual/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('takes settings from a config file and the environment', async () => {
+    await fs.writeJson(path.join(workdir, 'dawn.config.json'), {
+      credentials: 'accounts.txt',
+      tokensFile: 'session.json',
+      accountDelay: 0
+    });
+    await fs.move(path.join(workdir, 'file.txt'), path.join(workdir, 'accounts.txt'));
+
+    const { code } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: [],
+      env: { DAWN_SOLVER: 'manual' }
+    });
+
+    assert.equal(code, 0);
+    assert.deepEqual(Object.keys(await readTokens(workdir, 'session.json')), ['alice@example.com']);
+  });
+
+  it('lets flags override the config file', async () => {
+    await fs.writeJson(path.join(workdir, 'custom.json'), { solver: 'manual', resultsFile: 'config.jsonl' });
+
+    await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['login', '--config', 'custom.json', '--results-file', 'flag.jsonl']
+    });
+
+    assert.equal((await readResults(workdir, 'flag.jsonl')).length, 1);
+    assert.deepEqual(await readResults(workdir, 'config.jsonl'), []);
+  });
+
+  it('reports stored tokens with points and flags expired ones', async () => {
+    await runScript('index.js', { cwd: workdir, baseUrl });
+    const tokensFile = path.join(workdir, 'tokens.json');
+    const tokens = await fs.readJson(tokensFile);
+    tokens['bob@example.com'] = { token: 'stale-token', issuedAt: new Date().toISOString() };
+    await fs.writeJson(tokensFile, tokens);
+
+    const points = await runScript('index.js', { cwd: workdir, baseUrl, args: ['points'] });
+    assert.match(points.stdout, /alice@example\.com: 150/);
+    assert.match(points.stdout, /Total points: 150/);
+
+    const validate = await runScript('index.js', { cwd: workdir, baseUrl, args: ['validate', '--check-only'] });
+    assert.equal(validate.code, 1);
+    assert.match(validate.stdout, /alice@example\.com: valid, 150 points/);
+    assert.match(validate.stdout, /bob@example\.com: expired/);
+    assert.match(validate.stdout, /1\/2 tokens valid/);
+
+    await runScript('index.js', { cwd: workdir, baseUrl, args: ['validate', '--check-only', '--log-format', 'json', '--log-file', 'run.log'] });
+    const logged = (await readLines(workdir, 'run.log')).map(line => JSON.parse(line).message);
+    assert.ok(logged.some(message => /bob@example\.com: expired/.test(message)));
+    assert.ok(logged.some(message => /1\/2 tokens valid/.test(message)));
+
+    const marked = await fs.readJson(tokensFile);
+    assert.equal(marked['alice@example.com'].status, 'valid');
+    assert.equal(marked['bob@example.com'].status, 'expired');
+    assert.ok(marked['bob@example.com'].checkedAt);
+  });
+
+  it('logs in again only the accounts whose token expired', async () => {
+    await fs.appendFile(path.join(workdir, 'file.txt'), '\nbob@example.com:bob-pass\ncarol@example.com:carol-pass');
+    server.accounts['bob@example.com'] = 'bob-pass';
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const tokensFile = path.join(workdir, 'tokens.json');
+    const tokens = await fs.readJson(tokensFile);
+    tokens['bob@example.com'].token = 'revoked-token';
+    await fs.writeJson(tokensFile, tokens);
+    server.requests = [];
+    const checkpoint = await fs.readJson(path.join(workdir, 'run-state.json'));
+
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['validate', '--solver', 'manual'] });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Logging in again 1 accounts with expired tokens/);
+    const logins = server.requests.filter(r => r.endpoint === 'login').map(r => JSON.parse(r.body).username);
+    assert.deepEqual(logins, ['bob@example.com']);
+    assert.notEqual((await fs.readJson(tokensFile))['bob@example.com'].token, 'revoked-token');
+    assert.deepEqual(await fs.readJson(path.join(workdir, 'run-state.json')), checkpoint);
+  });
+
+  it('queries and exports the attempts log', async () => {
+    server.script('login', 'bad-credentials');
+    await runScript('index.js', { cwd: workdir, baseUrl });
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const failures = await runScript('index.js', { cwd: workdir, baseUrl, args: ['results', '--outcome', 'failure', '--since', '1h'] });
+    assert.match(failures.stdout, /alice@example\.com {2}attempt 1 {2}failure \[invalid_credentials\] Invalid username or Password!/);
+    assert.match(failures.stdout, /1 attempts/);
+
+    const lastRun = await runScript('index.js', { cwd: workdir, baseUrl, args: ['results', '--run', 'last'] });
+    assert.match(lastRun.stdout, /success, 150 points/);
+    assert.match(lastRun.stdout, /1 attempts/);
+
+    await runScript('index.js', { cwd: workdir, baseUrl, args: ['results', 'export', 'out.csv'] });
+    const csv = (await fs.readFile(path.join(workdir, 'out.csv'), 'utf8')).trim().split('\n');
+    assert.equal(csv[0], 'time,runId,account,attempt,outcome,errorCategory,error,points,tokenRef');
+    assert.equal(csv.length, 3);
+
+    const json = await runScript('index.js', { cwd: workdir, baseUrl, args: ['results', 'export', '--format', 'json', '--outcome', 'success'] });
+    assert.equal(JSON.parse(json.stdout).length, 1);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { parseCredentials, detectFormat, CredentialsError } from '../lib/credentials.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readTokens, runScript } from './helpers.js';
+
+describe('parseCredentials', () => {
+  it('keeps colons in passwords and honours escapes', () => {
+    const { accounts } = parseCredentials([
+      'alice@example.com:pa:ss:word',
+      'bob@example.com:back\\\\slash\\:colon',
+      '# a comment',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual(accounts, [
+      { email: 'alice@example.com', password: 'pa:ss:word' },
+      { email: 'bob@example.com', password: 'back\\slash:colon' }
+    ]);
+  });
+
+  it('reports malformed lines, bad emails and duplicates with their line numbers', () => {
+    const { accounts, report } = parseCredentials([
+      'alice@example.com:one',
+      'no-separator',
+      'not-an-email:two',
+      'ALICE@example.com:three',
+      'carol@example.com:'
+    ].join('\n'));
+
+    assert.equal(accounts.length, 1);
+    assert.deepEqual(report.map(({ line, accepted, reason }) => ({ line, accepted, reason })), [
+      { line: 1, accepted: true, reason: undefined },
+      { line: 2, accepted: false, reason: 'missing ":" between email and password' },
+      { line: 3, accepted: false, reason: 'invalid email "not-an-email"' },
+      { line: 4, accepted: false, reason: 'duplicate of line 1' },
+      { line: 5, accepted: false, reason: 'empty password' }
+    ]);
+  });
+
+  it('parses CSV with quoted fields in any column order', () => {
+    const { accounts, report } = parseCredentials([
+      'password,email,team',
+      '"pa,ss""word",alice@example.com,red',
+      '"unterminated,bob@example.com,blue'
+    ].join('\n'), 'csv');
+
+    assert.deepEqual(accounts, [{ email: 'alice@example.com', password: 'pa,ss"word' }]);
+    assert.equal(report[1].reason, 'unterminated quoted field');
+    assert.throws(() => parseCredentials('user,pass\na,b', 'csv'), CredentialsError);
+  });
+
+  it('parses JSON arrays and { accounts } objects', () => {
+    const list = [{ email: 'alice@example.com', password: 'a:b' }, { email: 'bob@example.com' }];
+    assert.equal(parseCredentials(JSON.stringify(list), 'json').accounts.length, 1);
+    assert.equal(parseCredentials(JSON.stringify({ accounts: list }), 'json').report[1].accepted, false);
+    assert.throws(() => parseCredentials('{', 'json'), CredentialsError);
+  });
+
+  it('keeps surrounding spaces in JSON and quoted CSV passwords', () => {
+    const json = JSON.stringify([{ email: ' alice@example.com ', password: '  sp  ' }]);
+    assert.deepEqual(parseCredentials(json, 'json').accounts, [{ email: 'alice@example.com', password: '  sp  ' }]);
+    assert.deepEqual(parseCredentials('email,password\nalice@example.com," sp "', 'csv').accounts,
+      [{ email: 'alice@example.com', password: ' sp ' }]);
+    assert.deepEqual(parseCredentials('alice@example.com:  sp  ', 'colon').accounts, [{ email: 'alice@example.com', password: 'sp' }]);
+  });
+
+  it('detects the format from the file extension', () => {
+    assert.equal(detectFormat('accounts.CSV'), 'csv');
+    assert.equal(detectFormat('accounts.json'), 'json');
+    assert.equal(detectFormat('file.txt'), 'colon');
+    assert.equal(detectFormat('accounts.json', 'colon'), 'colon');
+  });
+});
+
+describe('credentials import', () => {
+  it('logs in with a password containing a colon and reports rejected lines first', async () => {
+    const server = new MockAeropresServer({ accounts: { 'alice@example.com': 'pa:ss' } });
+    const baseUrl = await server.listen();
+    const workdir = await makeWorkdir([]);
+    await fs.writeFile(path.join(workdir, 'file.txt'), 'alice@example.com:pa:ss\nbroken line\n');
+
+    try {
+      const check = await runScript('index.js', { cwd: workdir, baseUrl, args: ['credentials'] });
+      assert.equal(check.code, 1);
+      assert.match(check.stdout, /line 2: rejected, missing ":"/);
+      assert.equal(server.requests.length, 0);
+
+      const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+      assert.ok(stdout.indexOf('1 accepted, 1 rejected') < stdout.indexOf('Processing account 1/1'));
+      assert.deepEqual(Object.keys(await readTokens(workdir)), ['alice@example.com']);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer } from './mockServer.js';
+import { FAST_ARGS, makeWorkdir, readLines, readResults, runScript } from './helpers.js';
+import { parseInterval, parseQuietHours, isQuietTime } from '../lib/daemon.js';
+
+const ACCOUNTS = ['alice', 'bob', 'carol'].map(name => ({ email: `${name}@example.com`, password: `${name}-pass` }));
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])),
+    points: { 'alice@example.com': 150 }
+  });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+// alice holds a live token, bob and carol tokens the server no longer accepts
+beforeEach(async () => {
+  server.steps = { puzzle: [], image: [], login: [], points: [] };
+  server.requests.length = 0;
+  server.tokens.set('alice-live-token', 'alice@example.com');
+  workdir = await makeWorkdir(ACCOUNTS);
+  const issuedAt = new Date().toISOString();
+  await fs.writeJson(path.join(workdir, 'tokens.json'), {
+    'alice@example.com': { token: 'alice-live-token', issuedAt },
+    'bob@example.com': { token: 'bob-old-token', issuedAt },
+    'carol@example.com': { token: 'carol-old-token', issuedAt }
+  });
+});
+
+const daemon = (args, options = {}) => runScript('index.js', { cwd: workdir, baseUrl, args: ['daemon', ...FAST_ARGS, ...args], ...options });
+// Resolves once the mock server has received a request to the endpoint
+const requested = async (endpoint) => {
+  while (!server.requests.some(request => request.endpoint === endpoint)) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+const clock = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+describe('daemon schedule', () => {
+  it('parses intervals and quiet hours', () => {
+    assert.equal(parseInterval('30m'), 1800000);
+    assert.equal(parseInterval('45s'), 45000);
+    assert.throws(() => parseInterval('soon'), /Invalid interval/);
+    assert.throws(() => parseQuietHours('23:00'), /Invalid quiet hours/);
+    assert.throws(() => parseQuietHours('25:00-07:00'), /Invalid time/);
+
+    const overnight = parseQuietHours('23:00-07:00');
+    assert.equal(isQuietTime(overnight, new Date(2026, 9, 18, 23, 30)), true);
+    assert.equal(isQuietTime(overnight, new Date(2026, 9, 18, 6, 59)), true);
+    assert.equal(isQuietTime(overnight, new Date(2026, 9, 18, 7, 0)), false);
+    assert.equal(isQuietTime(parseQuietHours('12:00-14:00'), new Date(2026, 9, 18, 13, 0)), true);
+    assert.equal(isQuietTime(parseQuietHours('12:00-14:00'), new Date(2026, 9, 18, 22, 0)), false);
+  });
+});
+
+describe('daemon command', () => {
+  it('logs in again only expired accounts, up to the cap per tick', async () => {
+    const { code, stdout } = await daemon(['--once', '--max-logins-per-tick', '1'], {
+      env: { DAWN_NOTIFIERS: JSON.stringify([{ type: 'file', path: 'notifications.jsonl', events: ['tick-end'] }]) }
+    });
+
+    assert.equal(code, 0);
+    assert.deepEqual((await readResults(workdir)).map(({ account, outcome }) => [account, outcome]), [['bob@example.com', 'success']]);
+    assert.match(stdout, /Tick 1: 1\/3 tokens valid, 2 expired, 1 logged in again, 0 failed, 1 left for the next tick/);
+
+    const tokens = await fs.readJson(path.join(workdir, 'tokens.json'));
+    assert.equal(tokens['alice@example.com'].token, 'alice-live-token');
+    assert.match(tokens['bob@example.com'].token, /^mock-token-\d+$/);
+    assert.equal(tokens['carol@example.com'].status, 'expired');
+
+    const [summary] = (await readLines(workdir, 'notifications.jsonl')).map(line => JSON.parse(line));
+    assert.equal(summary.type, 'tick-end');
+    assert.equal(summary.deferred, 1);
+  });
+
+  it('skips ticks during the quiet hours', async () => {
+    const now = new Date();
+    const quietHours = `${clock(new Date(now - 60000))}-${clock(new Date(now.getTime() + 3600000))}`;
+    const { code, stdout } = await daemon(['--once', '--quiet-hours', quietHours]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Tick 1: quiet hours until/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('reports a failing tick and keeps scheduling', async () => {
+    await fs.remove(path.join(workdir, 'file.txt'));
+    let stopping = false;
+    const { code, stdout } = await daemon(['--interval', '1s'], {
+      env: { DAWN_NOTIFIERS: JSON.stringify([{ type: 'file', path: 'notifications.jsonl', events: ['tick-end'] }]) },
+      onOutput: (output, child) => {
+        if (!stopping && output.includes('Tick 2 failed')) {
+          stopping = true;
+          child.kill('SIGTERM');
+        }
+      }
+    });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Tick 1 failed: .*file\.txt/);
+    assert.doesNotMatch(stdout, /Fatal error/);
+    const events = (await readLines(workdir, 'notifications.jsonl')).map(line => JSON.parse(line));
+    assert.deepEqual(events.map(({ type, tick }) => [type, tick]), [['tick-end', 1], ['tick-end', 2]]);
+    assert.match(events[0].error, /file\.txt/);
+  });
+
+  it('stops during the token check without logging in', async () => {
+    server.script('points', 'hang');
+    let stopping = false;
+    const { code, stdout } = await daemon(['--interval', '1h'], {
+      onOutput: (output, child) => {
+        if (!stopping && output.includes('Daemon started')) {
+          stopping = true;
+          requested('points').then(() => child.kill('SIGINT'));
+        }
+      }
+    });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Received SIGINT, stopping the daemon/);
+    assert.match(stdout, /Daemon stopped/);
+    assert.doesNotMatch(stdout, /Logging in again/);
+    assert.deepEqual(server.requests.map(r => r.endpoint), ['points']);
+  });
+
+  it('keeps ticking until stopped by a signal', async () => {
+    let stopping = false;
+    const { code, stdout } = await daemon(['--interval', '1h'], {
+      onOutput: (output, child) => {
+        if (!stopping && output.includes('Next tick at')) {
+          stopping = true;
+          child.kill('SIGTERM');
+        }
+      }
+    });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Tick 1: 1\/3 tokens valid, 2 expired, 2 logged in again, 0 failed/);
+    assert.match(stdout, /Received SIGTERM, stopping the daemon/);
+    assert.match(stdout, /Daemon stopped/);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import fetch from 'node-fetch';
+import { Dashboard } from '../lib/dashboard.js';
+import { RunControl } from '../lib/control.js';
+import { runLogins } from '../lib/runner.js';
+import { DawnClient } from '../lib/dawnClient.js';
+import { ResultsStore } from '../lib/results.js';
+import { FileTokenStore } from '../lib/tokenStore.js';
+import { MockAeropresServer, CAPTCHA_ANSWER } from './mockServer.js';
+import { makeTempDir } from './helpers.js';
+
+// The dashboard and the runner report to the console, keep that out of the test output
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+let server;
+let client;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])),
+    points: { 'alice@example.com': 150, 'bob@example.com': 40 }
+  });
+  client = new DawnClient({ baseUrl: await server.listen() });
+});
+
+after(() => server.close());
+
+const JSON_HEADERS = { 'content-type': 'application/json' };
+
+describe('dashboard', () => {
+  it('reports the run and logs an account in again on request', async () => {
+    const workdir = await makeTempDir();
+    const control = new RunControl();
+    const tokens = new FileTokenStore(path.join(workdir, 'tokens.json'));
+    const results = new ResultsStore(path.join(workdir, 'results.jsonl'));
+    const dashboard = new Dashboard({ control, client, tokens, results });
+    const url = await dashboard.listen();
+    const get = async (endpoint) => (await fetch(`${url}${endpoint}`)).json();
+    const rerun = (email) => fetch(`${url}/api/accounts/${encodeURIComponent(email)}/rerun`, { method: 'POST', headers: JSON_HEADERS, body: '{}' });
+
+    let release;
+    const bobWaiting = new Promise(resolve => {
+      release = resolve;
+    });
+    let reachedBob;
+    const atBob = new Promise(resolve => {
+      reachedBob = resolve;
+    });
+    const solver = {
+      async solve(image, { account }) {
+        if (account === 'bob@example.com') {
+          reachedBob();
+          await bobWaiting;
+        }
+        return CAPTCHA_ANSWER;
+      }
+    };
+
+    try {
+      server.script('login', 'bad-credentials');
+      const run = runLogins(ACCOUNTS, {
+        client,
+        solver,
+        config: { maxAttempts: 1, retryDelay: 0, accountDelay: 0 },
+        tokens,
+        results,
+        control
+      });
+
+      await atBob;
+      const status = await get('/api/run');
+      assert.deepEqual({ state: status.state, current: status.current, done: status.done, failed: status.failed }, { state: 'running', current: 'bob@example.com', done: 1, failed: 1 });
+      const accounts = await get('/api/accounts');
+      assert.deepEqual(accounts.map(({ account, state, latest }) => [account, state, latest?.outcome]), [
+        ['alice@example.com', 'failure', 'failure'],
+        ['bob@example.com', 'running', undefined]
+      ]);
+
+      assert.equal((await rerun('alice@example.com')).status, 202);
+      assert.equal((await rerun('mallory@example.com')).status, 404);
+      assert.equal((await get('/api/accounts'))[0].state, 'queued');
+      release();
+
+      const summary = await run;
+      assert.deepEqual({ successful: summary.successful, failed: summary.failed }, { successful: 2, failed: 0 });
+      assert.equal((await rerun('alice@example.com')).status, 409);
+
+      const points = await get('/api/points');
+      assert.equal(points.total, 190);
+      assert.deepEqual(points.accounts.map(({ account }) => account).sort(), ['alice@example.com', 'bob@example.com']);
+
+      const page = await fetch(url);
+      assert.match(await page.text(), /Dawn dashboard/);
+    } finally {
+      await dashboard.close();
+    }
+  });
+
+  it('refuses re-runs that are not sent as JSON', async () => {
+    const control = new RunControl();
+    control.start('run-1', 2, ACCOUNTS.map(({ email }) => email));
+    control.startAccount('alice@example.com');
+    control.finishAccount('success');
+    const dashboard = new Dashboard({ control, client, tokens: null, results: null });
+    const url = await dashboard.listen();
+    try {
+      const response = await fetch(`${url}/api/accounts/alice%40example.com/rerun`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'x=1'
+      });
+      assert.equal(response.status, 415);
+      assert.equal(control.accountStates()['alice@example.com'], 'success');
+    } finally {
+      await dashboard.close();
+    }
+  });
+
+  it('refuses to re-run an account the run has not reached yet', async () => {
+    const control = new RunControl();
+    control.start('run-1', 2, ACCOUNTS.map(({ email }) => email));
+    control.startAccount('alice@example.com');
+    const dashboard = new Dashboard({ control, client, tokens: null, results: null });
+    const url = await dashboard.listen();
+    try {
+      const response = await fetch(`${url}/api/accounts/bob%40example.com/rerun`, { method: 'POST', headers: JSON_HEADERS, body: '{}' });
+      assert.equal(response.status, 409);
+      assert.match((await response.json()).error, /has not had its turn/);
+      assert.equal(control.rerun('bob@example.com'), false);
+      assert.deepEqual({ states: control.accountStates(), total: control.status().total }, {
+        states: { 'alice@example.com': 'running', 'bob@example.com': 'pending' },
+        total: 2
+      });
+    } finally {
+      await dashboard.close();
+    }
+  });
+});
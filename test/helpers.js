@@ -0,0 +1,91 @@
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { after } from 'node:test';
+import fs from 'fs-extra';
+import { CAPTCHA_ANSWER } from './mockServer.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Scratch directories created by this test file, removed once it is done
+const scratchDirs = [];
+after(() => Promise.all(scratchDirs.splice(0).map(dir => fs.remove(dir))));
+
+// Create an empty scratch directory
+export async function makeTempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dawn-test-'));
+  scratchDirs.push(dir);
+  return dir;
+}
+
+// Create a scratch working directory holding a credentials file
+export async function makeWorkdir(credentials) {
+  const dir = await makeTempDir();
+  await fs.writeFile(path.join(dir, 'file.txt'), credentials.map(c => `${c.email}:${c.password}`).join('\n'));
+  return dir;
+}
+
+// Read a file from a working directory as a list of lines
+export async function readLines(dir, name) {
+  const file = path.join(dir, name);
+  if (!await fs.pathExists(file)) return [];
+  return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+}
+
+// Records of the attempts log in a working directory
+export async function readResults(dir, name = 'results.jsonl') {
+  return (await readLines(dir, name)).map(line => JSON.parse(line));
+}
+
+// Stored tokens in a working directory as an email -> token object
+export async function readTokens(dir, name = 'tokens.json') {
+  const file = path.join(dir, name);
+  if (!await fs.pathExists(file)) return {};
+  return Object.fromEntries(Object.entries(await fs.readJson(file)).map(([email, { token }]) => [email, token]));
+}
+
+// Flags that keep test runs on the manual solver and free of long pauses
+export const FAST_ARGS = ['--solver', 'manual', '--account-delay', '0', '--retry-delay', '10'];
+
+// Run an entry point against the mock server, answering its prompts like an operator would.
+// `answers` are typed at successive captcha prompts, falling back to the correct answer.
+// An answer may be a function, called with the child process instead of typing anything.
+// onOutput, when given, is called with the output so far and the child process after every chunk.
+export function runScript(script, { cwd, baseUrl, args = FAST_ARGS, env = {}, answers = [], onOutput, timeout = 60000 }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+      cwd,
+      env: { ...process.env, DAWN_BASE_URL: baseUrl, FORCE_COLOR: '0', ...env }
+    });
+    let stdout = '';
+    let pending = '';
+    const captchaAnswers = [...answers];
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} did not finish within ${timeout}ms:\n${stdout}`));
+    }, timeout);
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      pending += chunk;
+      onOutput?.(stdout, child);
+      if (pending.includes('enter the captcha code')) {
+        pending = '';
+        const answer = captchaAnswers.length ? captchaAnswers.shift() : CAPTCHA_ANSWER;
+        if (typeof answer === 'function') {
+          answer(child);
+        } else {
+          child.stdin.write(`${answer}\n`);
+        }
+      }
+    });
+    child.stderr.on('data', (chunk) => { stdout += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout });
+    });
+  });
+}
@@ -0,0 +1,184 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockAeropresServer } from './mockServer.js';
+import { FAST_ARGS, makeWorkdir, readResults, readTokens, runScript } from './helpers.js';
+import { DawnError, categorizeResponse, classifyError, retryPolicyFor } from '../lib/errors.js';
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])),
+    points: { 'alice@example.com': 150 }
+  });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.steps = { puzzle: [], image: [], login: [], points: [] };
+  server.requests = [];
+});
+
+const loginRequests = () => server.requests.filter(r => r.endpoint === 'login');
+const outcomes = async () => (await readResults(workdir)).map(({ account, attempt, outcome }) => `${account}#${attempt}:${outcome}`);
+
+describe('index.js', () => {
+  beforeEach(async () => {
+    workdir = await makeWorkdir(ACCOUNTS);
+  });
+
+  it('logs in every account and records the tokens', async () => {
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const tokens = await readTokens(workdir);
+    assert.deepEqual(Object.keys(tokens), ['alice@example.com', 'bob@example.com']);
+    assert.match(tokens['alice@example.com'], /^mock-token-\d+$/);
+
+    const results = await readResults(workdir);
+    assert.equal(results.length, 2);
+    assert.equal(results[0].runId, results[1].runId);
+    assert.equal(results[0].points, 150);
+    assert.match(results[0].tokenRef, /^tokens\.json#sha256:[0-9a-f]{16}$/);
+    assert.ok(!JSON.stringify(results).includes(tokens['alice@example.com']));
+    assert.match(stdout, /Points: 150/);
+    assert.match(stdout, /Successful logins: 2/);
+  });
+
+  it('never logs in again after a successful login whose token cannot be stored', async () => {
+    const { code, stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['login', ...FAST_ARGS, '--tokens-file', 'missing/dir/tokens.json']
+    });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Fatal error: .*ENOENT/);
+    assert.doesNotMatch(stdout, /\[unknown\]/);
+    assert.equal(loginRequests().length, 1);
+  });
+
+  it('retries a wrong captcha', async () => {
+    server.useScenario('wrong-captcha');
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    assert.equal(loginRequests().length, 3);
+    assert.deepEqual(await outcomes(), ['alice@example.com#1:failure', 'alice@example.com#2:success', 'bob@example.com#1:success']);
+    assert.equal((await readResults(workdir))[0].errorCategory, 'wrong_captcha');
+  });
+
+  it('stops at once on rejected credentials and reports the category', async () => {
+    server.useScenario('bad-credentials');
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+
+    assert.match(stdout, /Login failed for alice@example\.com \[invalid_credentials, not retried\]: Invalid username or Password!/);
+    assert.match(stdout, /invalid_credentials: 1/);
+    assert.equal(loginRequests().length, 2);
+    const [failure] = await readResults(workdir);
+    assert.equal(failure.errorCategory, 'invalid_credentials');
+    assert.equal(failure.error, 'Invalid username or Password!');
+    assert.ok(!JSON.stringify(failure).includes('alice-pass'));
+  });
+
+  it('retries puzzle requests through a burst of server errors', async () => {
+    server.useScenario('server-errors');
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+
+    assert.match(stdout, /Attempt 2\/3 failed, retrying/);
+    assert.equal(Object.keys(await readTokens(workdir)).length, 2);
+  });
+
+  it('retries the login as a server error after three failed puzzle requests', async () => {
+    server.script('puzzle', 'server-error', 'server-error', 'server-error');
+    const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+
+    assert.match(stdout, /Failed to get puzzle ID after 3 attempts/);
+    assert.deepEqual(await outcomes(), ['alice@example.com#1:failure', 'alice@example.com#2:success', 'bob@example.com#1:success']);
+    assert.equal((await readResults(workdir))[0].errorCategory, 'server_error');
+  });
+
+  it('classifies malformed JSON and a missing token as malformed responses', async () => {
+    server.useScenario('malformed-json').useScenario('missing-token');
+    await runScript('index.js', { cwd: workdir, baseUrl });
+
+    const failures = (await readResults(workdir)).filter(record => record.outcome === 'failure');
+    assert.deepEqual(failures.map(record => record.errorCategory), ['malformed_response', 'malformed_response']);
+    assert.equal(failures[1].error, 'unexpected response from login/v2: data.token is missing');
+    assert.equal(Object.keys(await readTokens(workdir)).length, 2);
+  });
+
+  it('gives up once a category runs out of attempts under the configured policy', async () => {
+    server.script('login', 'wrong-captcha', 'wrong-captcha');
+    const { stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['--solver', 'manual', '--retry-delay', '0', '--account-delay', '0'],
+      env: { DAWN_RETRY_POLICIES: JSON.stringify({ wrong_captcha: { maxAttempts: 2 } }) }
+    });
+
+    assert.match(stdout, /Login failed for alice@example\.com \[wrong_captcha, gave up after 2 attempts\]/);
+    assert.deepEqual(await outcomes(), ['alice@example.com#1:failure', 'alice@example.com#2:failure', 'bob@example.com#1:success']);
+  });
+});
+
+describe('captchaTG.js', () => {
+  beforeEach(async () => {
+    workdir = await makeWorkdir(ACCOUNTS.slice(0, 1));
+  });
+
+  it('retries a wrong captcha until the login succeeds', async () => {
+    const { stdout } = await runScript('captchaTG.js', { cwd: workdir, baseUrl, answers: ['9999'] });
+
+    assert.match(stdout, /Login attempt 1 failed for alice@example\.com \[wrong_captcha\]: Incorrect answer/);
+    assert.match(stdout, /Attempt 2 for alice@example\.com/);
+    assert.equal(loginRequests().length, 2);
+    assert.deepEqual(await outcomes(), ['alice@example.com#1:failure', 'alice@example.com#2:success']);
+  });
+
+  it('retries a login response without a token', async () => {
+    server.useScenario('missing-token');
+    const { stdout } = await runScript('captchaTG.js', { cwd: workdir, baseUrl });
+
+    assert.match(stdout, /Successful logins: 1/);
+    assert.equal(loginRequests().length, 2);
+  });
+
+  it('does not retry rejected credentials forever', async () => {
+    server.useScenario('bad-credentials');
+    const { code, stdout } = await runScript('captchaTG.js', { cwd: workdir, baseUrl });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Failed logins: 1/);
+    assert.equal(loginRequests().length, 1);
+  });
+});
+
+describe('error categories', () => {
+  it('sorts responses into categories', () => {
+    assert.equal(categorizeResponse(429), 'rate_limited');
+    assert.equal(categorizeResponse(502), 'server_error');
+    assert.equal(categorizeResponse(400, 'Incorrect answer. Try again!'), 'wrong_captcha');
+    assert.equal(categorizeResponse(400, 'Invalid username or Password!'), 'invalid_credentials');
+    assert.equal(categorizeResponse(400, 'Something else'), 'unknown');
+  });
+
+  it('classifies thrown errors', () => {
+    assert.equal(classifyError(new DawnError('nope', { category: 'rate_limited' })), 'rate_limited');
+    assert.equal(classifyError(Object.assign(new Error('reset'), { type: 'system' })), 'network_error');
+    assert.equal(classifyError(new SyntaxError('Unexpected token')), 'malformed_response');
+    assert.equal(classifyError(new Error('boom')), 'unknown');
+  });
+
+  it('lays configured policies over the defaults', () => {
+    assert.equal(retryPolicyFor({}, 'invalid_credentials').maxAttempts, 1);
+    assert.deepEqual(retryPolicyFor({ wrong_captcha: { maxAttempts: 2 } }, 'wrong_captcha'), { maxAttempts: 2, backoff: 1 });
+  });
+});
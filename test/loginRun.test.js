@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { LoginRun, startLoginRun } from '../lib/loginRun.js';
+import { ConfigError } from '../lib/config.js';
+import { MockAeropresServer, CAPTCHA_ANSWER } from './mockServer.js';
+import { makeTempDir } from './helpers.js';
+
+// The runner reports to the console, keep that out of the test output
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+const solver = { type: 'fixed', solve: async () => CAPTCHA_ANSWER };
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({
+    accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])),
+    points: { 'alice@example.com': 150 }
+  });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  workdir = await makeTempDir();
+});
+
+// Options for a quick run writing its files into the scratch directory
+function options(extra = {}) {
+  return {
+    solver,
+    baseUrl,
+    config: {
+      accountDelay: 0,
+      retryDelay: 0,
+      tokensFile: path.join(workdir, 'tokens.json'),
+      resultsFile: path.join(workdir, 'results.jsonl'),
+      pointsFile: path.join(workdir, 'points-history.jsonl')
+    },
+    ...extra
+  };
+}
+
+describe('LoginRun', () => {
+  it('emits the login lifecycle as typed events', async () => {
+    server.script('login', 'bad-credentials');
+    const run = startLoginRun(ACCOUNTS, options());
+    const events = [];
+    run.on('event', event => events.push(event));
+    const issued = [];
+    run.on('login-success', ({ account, token, points }) => issued.push({ account, token, points }));
+
+    const summary = await run.done;
+
+    assert.deepEqual({ successful: summary.successful, failed: summary.failed }, { successful: 1, failed: 1 });
+    assert.deepEqual(events.map(event => `${event.type}${event.account ? ` ${event.account}` : ''}`), [
+      'run-start',
+      'account-start alice@example.com',
+      'attempt-start alice@example.com',
+      'puzzle-fetched alice@example.com',
+      'captcha-answered alice@example.com',
+      'attempt-failed alice@example.com',
+      'login-failure alice@example.com',
+      'account-start bob@example.com',
+      'attempt-start bob@example.com',
+      'puzzle-fetched bob@example.com',
+      'captcha-answered bob@example.com',
+      'login-success bob@example.com',
+      'run-end'
+    ]);
+    assert.equal(events.find(event => event.type === 'login-failure').category, 'invalid_credentials');
+    assert.equal(events.find(event => event.type === 'captcha-answered').answer, CAPTCHA_ANSWER);
+    assert.equal(issued.length, 1);
+    assert.match(issued[0].token, /^mock-token-/);
+    assert.deepEqual(Object.keys(await fs.readJson(path.join(workdir, 'tokens.json'))), ['bob@example.com']);
+  });
+
+  it('takes listeners as callbacks and survives one that throws', async () => {
+    const seen = [];
+    const summary = await new LoginRun(ACCOUNTS.slice(1), options({
+      history: null,
+      on: {
+        'run-start': () => {
+          throw new Error('listener bug');
+        },
+        'login-success': async ({ points }) => seen.push(points),
+        'run-end': ({ successful }) => seen.push(`done ${successful}`)
+      }
+    })).start();
+
+    assert.equal(summary.successful, 1);
+    assert.deepEqual(seen, [0, 'done 1']);
+  });
+
+  it('calls a once() listener a single time', () => {
+    const run = new LoginRun(ACCOUNTS, options());
+    const seen = [];
+    run.once('login-success', (event) => seen.push(event.account));
+
+    run.publish({ type: 'login-success', account: 'alice@example.com' });
+    run.publish({ type: 'login-success', account: 'bob@example.com' });
+
+    assert.deepEqual(seen, ['alice@example.com']);
+    assert.equal(run.listenerCount('login-success'), 0);
+  });
+
+  it('needs a solver', async () => {
+    await assert.rejects(new LoginRun(ACCOUNTS, options({ solver: undefined })).start(), ConfigError);
+  });
+});
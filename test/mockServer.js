@@ -0,0 +1,178 @@
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+// 1x1 transparent PNG served as the puzzle image
+const PUZZLE_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+export const CAPTCHA_ANSWER = '1234';
+
+// Named scenarios, each a set of scripted steps per endpoint
+export const SCENARIOS = {
+  'ok': {},
+  'wrong-captcha': { login: ['wrong-captcha'] },
+  'bad-credentials': { login: ['bad-credentials'] },
+  'server-errors': { puzzle: ['server-error', 'server-error'], image: ['server-error'] },
+  'malformed-json': { login: ['malformed-json'] },
+  'missing-token': { login: ['missing-token'] },
+  'slow-puzzle': { puzzle: ['hang'] },
+  'changed-api': { puzzle: ['changed-shape'] }
+};
+
+// How long a 'hang' step holds the response back
+const HANG_MS = 5000;
+
+const ROUTES = {
+  '/chromeapi/dawn/v1/puzzle/get-puzzle': 'puzzle',
+  '/chromeapi/dawn/v1/puzzle/get-puzzle-image': 'image',
+  '/chromeapi/dawn/v1/user/login/v2': 'login',
+  '/api/atom/v1/userreferral/getpoint': 'points',
+  '/chromeapi/dawn/v1/extension/version': 'version'
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Offline stand-in for the aeropres endpoints.
+// Steps queued with script() are consumed one per request, then the endpoint behaves normally.
+export class MockAeropresServer {
+  constructor({ accounts = {}, points = {}, extensionVersion = '1.1.2' } = {}) {
+    this.accounts = accounts;
+    this.points = points;
+    this.extensionVersion = extensionVersion;
+    this.steps = { puzzle: [], image: [], login: [], points: [], version: [] };
+    this.requests = [];
+    this.tokens = new Map();
+    this.puzzleCount = 0;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => send(res, 500, { success: false, message: error.message }));
+    });
+  }
+
+  // Queue steps for an endpoint ('puzzle', 'image', 'login', 'points' or 'version')
+  script(endpoint, ...steps) {
+    this.steps[endpoint].push(...steps);
+    return this;
+  }
+
+  // Queue every step of a named scenario
+  useScenario(name) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+    for (const [endpoint, steps] of Object.entries(scenario)) {
+      this.script(endpoint, ...steps);
+    }
+    return this;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = ROUTES[url.pathname];
+    const body = req.method === 'POST' ? await readBody(req) : '';
+    this.requests.push({ endpoint, method: req.method, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+    if (!endpoint) {
+      return send(res, 404, { success: false, message: 'Not found' });
+    }
+
+    const step = this.steps[endpoint].shift() || 'ok';
+    if (step === 'server-error') {
+      return send(res, 502, { success: false, message: 'Bad gateway' });
+    }
+    if (step === 'malformed-json') {
+      return send(res, 200, '{"success": true, "data": {');
+    }
+    if (step === 'changed-shape') {
+      return send(res, 200, { success: true, data: { id: 'moved' } });
+    }
+    if (step === 'hang') {
+      const timer = setTimeout(() => send(res, 504, { success: false, message: 'Gateway timeout' }), HANG_MS);
+      res.on('close', () => clearTimeout(timer));
+      return;
+    }
+
+    if (endpoint === 'puzzle') {
+      this.puzzleCount++;
+      return send(res, 200, { success: true, puzzle_id: `mock-puzzle-${this.puzzleCount}` });
+    }
+    if (endpoint === 'image') {
+      return send(res, 200, { success: true, imgBase64: PUZZLE_IMAGE });
+    }
+    if (endpoint === 'login') {
+      return this.handleLogin(res, JSON.parse(body || '{}'), step);
+    }
+    if (endpoint === 'version') {
+      return send(res, 200, { success: true, data: { version: this.extensionVersion } });
+    }
+    return this.handlePoints(req, res);
+  }
+
+  handleLogin(res, payload, step) {
+    if (step === 'wrong-captcha' || payload.ans !== CAPTCHA_ANSWER) {
+      return send(res, 400, { success: false, message: 'Incorrect answer. Try again!' });
+    }
+    if (step === 'bad-credentials' || this.accounts[payload.username] !== payload.password) {
+      return send(res, 400, { success: false, message: 'Invalid username or Password!' });
+    }
+    if (step === 'missing-token') {
+      return send(res, 200, { success: true, message: 'Successfully logged in!', data: {} });
+    }
+
+    const token = `mock-token-${this.tokens.size + 1}`;
+    this.tokens.set(token, payload.username);
+    return send(res, 200, { success: true, message: 'Successfully logged in!', data: { token } });
+  }
+
+  handlePoints(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const email = this.tokens.get(token);
+    if (!email) {
+      return send(res, 401, { success: false, message: 'Unauthorized' });
+    }
+    return send(res, 200, {
+      success: true,
+      data: {
+        referralPoint: { commission: 0 },
+        rewardPoint: { points: this.points[email] || 0, registerpoints: 0 }
+      }
+    });
+  }
+
+  // Start listening, port 0 picks a free port
+  listen(port = 0) {
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+// Run standalone: node test/mockServer.js [port] [scenario]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [port = '8080', scenario = 'ok'] = process.argv.slice(2);
+  const server = new MockAeropresServer({
+    accounts: { 'email@example.com': 'password', 'email2@example.com': 'password2' }
+  }).useScenario(scenario);
+  server.listen(Number(port)).then(url => {
+    console.log(`Mock aeropres server (${scenario}) listening on ${url}, captcha answer ${CAPTCHA_ANSWER}`);
+  });
+}
@@ -0,0 +1,127 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { describeEvent, Notifier } from '../lib/notifiers.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readLines, runScript } from './helpers.js';
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+// Local HTTP listener recording every JSON body posted to it, by path
+class HookListener {
+  constructor() {
+    this.received = [];
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.received.push({ path: req.url, body: JSON.parse(body) });
+        res.writeHead(req.url === '/broken' ? 500 : 204);
+        res.end();
+      });
+    });
+  }
+
+  on(hookPath) {
+    return this.received.filter(request => request.path === hookPath).map(request => request.body);
+  }
+
+  listen() {
+    return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`)));
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+let server;
+let baseUrl;
+let hooks;
+let hookUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])) });
+  baseUrl = await server.listen();
+  hooks = new HookListener();
+  hookUrl = await hooks.listen();
+});
+
+after(async () => {
+  await server.close();
+  await hooks.close();
+});
+
+beforeEach(async () => {
+  hooks.received.length = 0;
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+describe('notifiers', () => {
+  it('sends run events to every backend through its filter', async () => {
+    await fs.writeJson(path.join(workdir, 'dawn.config.json'), {
+      notifiers: [
+        { type: 'webhook', url: `${hookUrl}/hook`, events: ['login-failure', 'run-end'] },
+        { type: 'discord', url: `${hookUrl}/discord`, events: ['login-success'] },
+        { type: 'file', path: 'events/notifications.jsonl' },
+        { type: 'webhook', url: `${hookUrl}/broken`, events: ['run-end'] }
+      ]
+    });
+    server.useScenario('bad-credentials');
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Error sending webhook notification: HTTP error! status: 500/);
+
+    const webhook = hooks.on('/hook');
+    assert.deepEqual(webhook.map(event => event.type), ['login-failure', 'run-end']);
+    assert.equal(webhook[0].account, 'alice@example.com');
+    assert.equal(webhook[0].category, 'invalid_credentials');
+    assert.equal(webhook[1].successful, 1);
+    assert.equal(webhook[1].text, `Run ${webhook[1].runId} completed: 1 successful, 1 failed (invalid_credentials: 1)`);
+    assert.ok(!JSON.stringify(hooks.received).includes('alice-pass'));
+
+    assert.deepEqual(hooks.on('/discord'), [{ username: 'Dawn auto login', content: '✅ Login successful for bob@example.com, points: 0' }]);
+
+    const events = (await readLines(workdir, 'events/notifications.jsonl')).map(line => JSON.parse(line));
+    assert.equal(events[0].type, 'run-start');
+    assert.equal(events.at(-1).type, 'run-end');
+    assert.ok(events.every(event => event.time && event.text));
+  });
+
+  it('rejects unknown backends and event names', async () => {
+    const { code, stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      env: { DAWN_NOTIFIERS: JSON.stringify([{ type: 'webhook', url: hookUrl, events: ['everything'] }]) }
+    });
+
+    assert.equal(code, 2);
+    assert.match(stdout, /notifiers\[0\] filters on unknown events: everything/);
+  });
+
+  it('keeps quiet events and tokens away from unfiltered backends', async () => {
+    const seen = [];
+    const notifier = new Notifier([], { frontEnd: async (event) => seen.push(event) });
+    await notifier.notify({ type: 'puzzle-fetched', account: 'alice@example.com', puzzleId: 'p' });
+    await notifier.notify({ type: 'login-success', account: 'alice@example.com', points: 5, token: 'secret-token' });
+
+    assert.deepEqual(seen.map(event => event.type), ['login-success']);
+    assert.equal(seen[0].token, undefined);
+  });
+
+  it('passes only the filtered events to the front-end', async () => {
+    const seen = [];
+    const notifier = new Notifier([{ type: 'telegram', events: ['fatal'] }], { frontEnd: async (event) => seen.push(event) });
+    await notifier.notify({ type: 'run-start', runId: 'r', total: 1 });
+    await notifier.notify({ type: 'fatal', error: 'boom' });
+
+    assert.deepEqual(seen.map(event => describeEvent(event)), ['Fatal error: boom']);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { buildPointsReport, pointsReportToCsv, pointsReportToHtml } from '../lib/points.js';
+import { pointsBreakdown } from '../lib/dawnClient.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, runScript } from './helpers.js';
+
+const snapshot = (runId, account, total, time) => ({ runId, account, time, rewardPoints: total, total });
+
+describe('points report', () => {
+  it('breaks the points response down by source', () => {
+    assert.deepEqual(pointsBreakdown({
+      referralPoint: { commission: 5 },
+      rewardPoint: { points: 100, registerpoints: 20, twitter_x_id_points: 1, discordid_points: 2, telegramid_points: 3 }
+    }), {
+      commission: 5,
+      rewardPoints: 100,
+      registerPoints: 20,
+      twitterPoints: 1,
+      discordPoints: 2,
+      telegramPoints: 3,
+      total: 131
+    });
+  });
+
+  it('computes per-account deltas and run totals over time', () => {
+    const report = buildPointsReport([
+      snapshot('run-1', 'alice@example.com', 100, '2026-01-01T00:00:00Z'),
+      snapshot('run-1', 'bob@example.com', 50, '2026-01-01T00:00:01Z'),
+      snapshot('run-2', 'alice@example.com', 130, '2026-01-02T00:00:00Z')
+    ]);
+
+    assert.equal(report.total, 180);
+    assert.deepEqual(report.accounts.map(({ account, total, delta }) => ({ account, total, delta })), [
+      { account: 'alice@example.com', total: 130, delta: 30 },
+      { account: 'bob@example.com', total: 50, delta: null }
+    ]);
+    assert.deepEqual(report.runs.map(({ runId, total, change }) => ({ runId, total, change })), [
+      { runId: 'run-1', total: 150, change: null },
+      { runId: 'run-2', total: 180, change: 30 }
+    ]);
+  });
+
+  it('renders CSV and escaped HTML', () => {
+    const report = buildPointsReport([snapshot('run-1', '<b>@example.com', 10, '2026-01-01T00:00:00Z')]);
+    assert.match(pointsReportToCsv(report), /^account,time,runId,commission,/);
+    const html = pointsReportToHtml(report);
+    assert.match(html, /&lt;b&gt;@example\.com/);
+    assert.doesNotMatch(html, /<b>@example/);
+  });
+});
+
+describe('points history', () => {
+  it('records the breakdown on login and on every points check', async () => {
+    const server = new MockAeropresServer({
+      accounts: { 'alice@example.com': 'alice-pass' },
+      points: { 'alice@example.com': 100 }
+    });
+    const baseUrl = await server.listen();
+    const workdir = await makeWorkdir([{ email: 'alice@example.com', password: 'alice-pass' }]);
+
+    try {
+      await runScript('index.js', { cwd: workdir, baseUrl });
+      server.points['alice@example.com'] = 125;
+
+      const { stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['points'] });
+      assert.match(stdout, /alice@example\.com: 125 \(\+25\)/);
+      assert.match(stdout, /commission 0, reward 125, register 0/);
+
+      await runScript('index.js', { cwd: workdir, baseUrl, args: ['report', 'report.html'] });
+      const html = await fs.readFile(path.join(workdir, 'report.html'), 'utf8');
+      assert.match(html, /Total points: <strong>125<\/strong>/);
+      assert.match(html, /class="num up">\+25</);
+
+      const json = await runScript('index.js', { cwd: workdir, baseUrl, args: ['report'] });
+      assert.equal(JSON.parse(json.stdout).runs.length, 2);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, runScript } from './helpers.js';
+
+const ACCOUNTS = [
+  { email: 'alice@example.com', password: 'alice-pass' },
+  { email: 'bob@example.com', password: 'bob-pass' }
+];
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])) });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.requests.length = 0;
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+describe('preflight', () => {
+  it('fetches one puzzle and never logs in', async () => {
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['preflight', '--solver', 'manual'] });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /✓ 2 account\(s\) read from file\.txt \(colon\)/);
+    assert.match(stdout, /✓ results file results\.jsonl is writable/);
+    assert.match(stdout, /✓ accounts file accounts\.json is writable/);
+    assert.match(stdout, /✓ fetched puzzle mock-puzzle-\d+ and its image/);
+    assert.match(stdout, /Ready to log in 2 account\(s\)/);
+    assert.deepEqual(server.requests.map(request => request.endpoint), ['puzzle', 'image']);
+    assert.deepEqual(await fs.readdir(workdir), ['file.txt']);
+  });
+
+  it('lists every problem and exits non-zero', async () => {
+    await fs.appendFile(path.join(workdir, 'file.txt'), '\nnot-an-account');
+    server.script('puzzle', 'server-error', 'server-error', 'server-error');
+    const { code, stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['login', '--dry-run', '--solver', '2captcha', '--results-file', 'file.txt/results.jsonl'],
+      env: { DAWN_API_KEY: '' }
+    });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /✗ file\.txt line 3: /);
+    assert.match(stdout, /✗ results file file\.txt\/results\.jsonl cannot be written: file\.txt is not a directory/);
+    assert.match(stdout, /✗ the 2captcha solver needs an API key/);
+    assert.match(stdout, /✗ fetching a puzzle failed: /);
+    assert.match(stdout, /4 check\(s\) failed/);
+    assert.ok(!server.requests.some(request => request.endpoint === 'login'));
+  });
+
+  it('rejects a solver the front-end does not offer', async () => {
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['preflight', '--solver', 'telegram', '--api-key', 'bot-token'] });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /✗ the telegram solver is not available in index\.js, use one of: 2captcha, anticaptcha, manual/);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { compareVersions, loadProfile } from '../lib/profile.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readResults, runScript, FAST_ARGS } from './helpers.js';
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: { 'alice@example.com': 'alice-pass' }, extensionVersion: '1.1.3' });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.requests.length = 0;
+  workdir = await makeWorkdir([{ email: 'alice@example.com', password: 'alice-pass' }]);
+});
+
+// Write a copy of the bundled mock profile pointed at the test server
+async function writeProfile(overrides = {}) {
+  const profile = { ...await fs.readJson(new URL('../profiles/mock.json', import.meta.url)), baseUrl, ...overrides };
+  const file = path.join(workdir, 'profile.json');
+  await fs.writeJson(file, profile);
+  return file;
+}
+
+describe('API profiles', () => {
+  it('loads the bundled profiles by name', async () => {
+    const profile = await loadProfile('aeropres');
+    assert.equal(profile.baseUrl, 'https://www.aeropres.in');
+    assert.equal(profile.extensionVersion, '1.1.2');
+    assert.equal((await loadProfile('mock')).name, 'mock');
+  });
+
+  it('compares versions numerically', () => {
+    assert.ok(compareVersions('1.1.2', '1.1.10') < 0);
+    assert.ok(compareVersions('1.2', '1.1.9') > 0);
+    assert.equal(compareVersions('1.1', '1.1.0'), 0);
+  });
+
+  it('takes the base URL, version and headers of the selected profile', async () => {
+    const file = await writeProfile({ extensionVersion: '1.1.3', headers: { 'user-agent': 'profile-test' } });
+    const { code } = await runScript('index.js', { cwd: workdir, args: [...FAST_ARGS, '--profile', file] });
+
+    assert.equal(code, 0);
+    assert.equal((await readResults(workdir))[0].outcome, 'success');
+    const login = server.requests.find(request => request.endpoint === 'login');
+    assert.equal(JSON.parse(login.body).logindata._v.version, '1.1.3');
+    assert.equal(login.headers['user-agent'], 'profile-test');
+  });
+
+  it('rejects a profile with missing endpoints', async () => {
+    const file = await writeProfile({ endpoints: { puzzle: '/puzzle' } });
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, args: ['profile', '--profile', file] });
+
+    assert.equal(code, 2);
+    assert.match(stdout, /is missing the "image" endpoint path/);
+  });
+
+  it('flags a profile whose extension version is behind the server', async () => {
+    const file = await writeProfile();
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, args: ['profile', 'check', '--profile', file] });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /✓ puzzle\/get-puzzle responds as declared/);
+    assert.match(stdout, /✗ extension version 1\.1\.2 is out of date, the server reports 1\.1\.3/);
+  });
+
+  it('passes the check once the profile is current', async () => {
+    const file = await writeProfile({ extensionVersion: '1.1.3' });
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, args: ['profile', 'check', '--profile', file] });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Profile is up to date/);
+    assert.ok(!server.requests.some(request => request.endpoint === 'login'));
+  });
+});
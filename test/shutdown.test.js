@@ -0,0 +1,64 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { MockAeropresServer, CAPTCHA_ANSWER } from './mockServer.js';
+import { makeWorkdir, readResults, runScript } from './helpers.js';
+
+const ACCOUNTS = ['alice', 'bob', 'carol'].map(name => ({ email: `${name}@example.com`, password: `${name}-pass` }));
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: Object.fromEntries(ACCOUNTS.map(a => [a.email, a.password])) });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  server.requests.length = 0;
+  workdir = await makeWorkdir(ACCOUNTS);
+});
+
+describe('shutdown signals', () => {
+  it('abandons the current account on SIGINT and still writes the summary', async () => {
+    const { code, stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      answers: [CAPTCHA_ANSWER, (child) => child.kill('SIGINT')]
+    });
+
+    assert.equal(code, 130);
+    assert.match(stdout, /Received SIGINT, abandoning the current account/);
+    assert.match(stdout, /Run interrupted by SIGINT, continue it with --resume/);
+    assert.match(stdout, /Successful logins: 1/);
+    const records = (await readResults(workdir)).map(({ account, outcome, error }) => [account, outcome, error]);
+    assert.deepEqual(records, [
+      ['alice@example.com', 'success', undefined],
+      ['bob@example.com', 'abandoned', 'interrupted by SIGINT']
+    ]);
+
+    const resumed = await runScript('index.js', { cwd: workdir, baseUrl, args: ['login', '--resume', '--solver', 'manual', '--account-delay', '0'] });
+    assert.equal(resumed.code, 0);
+    assert.match(resumed.stdout, /Skipping alice@example\.com: fresh success recorded/);
+    assert.match(resumed.stdout, /Successful logins: 2/);
+  });
+
+  it('exits with the SIGTERM status and leaves the run resumable', async () => {
+    server.script('login', 'bad-credentials');
+    const { code, stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      answers: [CAPTCHA_ANSWER, (child) => child.kill('SIGTERM')]
+    });
+
+    assert.equal(code, 143);
+    assert.match(stdout, /Failed logins: 1/);
+    const checkpoint = await fs.readJson(path.join(workdir, 'run-state.json'));
+    assert.equal(checkpoint.finished, false);
+    assert.deepEqual(Object.keys(checkpoint.accounts), ['alice@example.com']);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import { TelegramOperator } from '../lib/telegram.js';
+import { RunControl } from '../lib/control.js';
+import { runLogins } from '../lib/runner.js';
+import { DawnClient } from '../lib/dawnClient.js';
+import { ResultsStore } from '../lib/results.js';
+import { CancelledError } from '../lib/errors.js';
+import { ConfigError } from '../lib/config.js';
+import { MockAeropresServer, CAPTCHA_ANSWER } from './mockServer.js';
+import { makeTempDir } from './helpers.js';
+
+// The operator and the runner report to the console, keep that out of the test output
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+const OPERATOR = 111;
+const STRANGER = 999;
+
+// Stand-in for node-telegram-bot-api that records what the bot sends
+class FakeBot extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.nextId = 1;
+  }
+
+  async sendMessage(chatId, text, options) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.nextId++ };
+  }
+
+  async sendPhoto(chatId, file, options) {
+    const message = { message_id: this.nextId++ };
+    this.sent.push({ chatId, photo: file, options, message_id: message.message_id });
+    return message;
+  }
+
+  // Deliver a message as if it came from a chat
+  receive(chatId, fields) {
+    this.emit('message', { message_id: this.nextId++, chat: { id: chatId }, from: { id: chatId }, ...fields });
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  lastText() {
+    return this.sent.filter(message => message.text).at(-1)?.text;
+  }
+}
+
+function makeOperator(control = new RunControl()) {
+  const bot = new FakeBot();
+  const operator = new TelegramOperator(bot, { allow: String(OPERATOR), control });
+  operator.start();
+  return { bot, operator, control };
+}
+
+describe('Telegram operator', () => {
+  it('refuses to start without an allow-list', () => {
+    assert.throws(() => new TelegramOperator(new FakeBot(), {}), ConfigError);
+  });
+
+  it('ignores chats that are not allowed', async () => {
+    const { bot, operator } = makeOperator();
+    await bot.receive(STRANGER, { text: '/stop' });
+
+    assert.equal(operator.chatId, undefined);
+    assert.equal(bot.sent.length, 0);
+  });
+
+  it('takes the chat ID from the first allowed message', async () => {
+    const { bot, operator } = makeOperator();
+    const waiting = operator.waitForChat();
+    await bot.receive(OPERATOR, { text: 'hello' });
+
+    assert.equal(await waiting, OPERATOR);
+  });
+
+  it('stops waiting for the chat when the run is interrupted', async () => {
+    const { operator } = makeOperator();
+    const controller = new AbortController();
+    const waiting = assert.rejects(operator.waitForChat({ signal: controller.signal }), CancelledError);
+    controller.abort();
+
+    await waiting;
+    assert.equal(operator.chatWaiters.length, 0);
+  });
+
+  it('accepts a captcha answer only as a reply to its photo', async () => {
+    const { bot, operator } = makeOperator();
+    await bot.receive(OPERATOR, { text: 'hello' });
+    const answer = operator.askCaptcha('captcha.png', { timeout: 1000 });
+    await new Promise(resolve => setImmediate(resolve));
+    const photo = bot.sent.find(message => message.photo);
+
+    await bot.receive(OPERATOR, { text: '9999' });
+    assert.match(bot.lastText(), /as a reply to the captcha photo/);
+    await bot.receive(STRANGER, { text: '6666', reply_to_message: { message_id: photo.message_id } });
+    await bot.receive(OPERATOR, { text: ' 1234 ', reply_to_message: { message_id: photo.message_id } });
+
+    assert.equal(await answer, '1234');
+  });
+
+  it('answers non-text messages instead of crashing', async () => {
+    const { bot } = makeOperator();
+    await bot.receive(OPERATOR, { sticker: { file_id: 'abc' } });
+
+    assert.match(bot.lastText(), /Only text messages are understood/);
+  });
+
+  it('steers the run with commands', async () => {
+    const { bot, control } = makeOperator();
+    control.start('run-1', 3);
+
+    await bot.receive(OPERATOR, { text: '/pause' });
+    assert.equal(control.paused, true);
+    await bot.receive(OPERATOR, { text: '/status' });
+    assert.match(bot.lastText(), /Run run-1<\/b>: paused/);
+    await bot.receive(OPERATOR, { text: '/resume' });
+    assert.equal(control.paused, false);
+    await bot.receive(OPERATOR, { text: '/skip bob@example.com' });
+    assert.ok(control.isCancelled('bob@example.com'));
+    await bot.receive(OPERATOR, { text: '/skip' });
+    assert.match(bot.lastText(), /Usage: \/skip/);
+    await bot.receive(OPERATOR, { text: '/stop@dawn_bot' });
+    assert.equal(control.stopped, true);
+  });
+
+  it('abandons a pending captcha when its account is skipped', async () => {
+    const { bot, operator, control } = makeOperator();
+    await bot.receive(OPERATOR, { text: 'hello' });
+    const signal = control.startAccount('alice@example.com');
+    const answer = assert.rejects(operator.askCaptcha('captcha.png', { timeout: 1000, signal }), CancelledError);
+
+    await bot.receive(OPERATOR, { text: '/skip alice@example.com' });
+    await answer;
+  });
+});
+
+describe('run control', () => {
+  const accounts = ['alice', 'bob', 'carol'].map(name => ({ email: `${name}@example.com`, password: `${name}-pass` }));
+  let server;
+  let workdir;
+  let client;
+
+  before(async () => {
+    server = new MockAeropresServer({ accounts: Object.fromEntries(accounts.map(a => [a.email, a.password])) });
+    client = new DawnClient({ baseUrl: await server.listen() });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    workdir = await makeTempDir();
+  });
+
+  // Run the accounts with a solver that hands every captcha to onCaptcha(email) before answering
+  function run(control, onCaptcha = () => {}) {
+    const solver = {
+      async solve() {
+        await onCaptcha(control.current);
+        return CAPTCHA_ANSWER;
+      }
+    };
+    return runLogins(accounts, {
+      client,
+      solver,
+      config: { maxAttempts: 1, retryDelay: 0, accountDelay: 0 },
+      tokens: { save: async () => 'ref' },
+      results: new ResultsStore(path.join(workdir, 'results.jsonl')),
+      control
+    });
+  }
+
+  it('skips accounts and stops when told to', async () => {
+    const control = new RunControl();
+    control.skip('bob@example.com');
+    const summary = await run(control, (email) => {
+      if (email === 'carol@example.com') control.stop();
+    });
+
+    assert.deepEqual({ successful: summary.successful, skipped: summary.skipped, stopped: summary.stopped }, { successful: 1, skipped: 1, stopped: true });
+    const records = await new ResultsStore(path.join(workdir, 'results.jsonl')).readAll();
+    assert.deepEqual(records.map(record => [record.account, record.outcome]), [['alice@example.com', 'success'], ['carol@example.com', 'abandoned']]);
+  });
+
+  it('holds the next account while paused', async () => {
+    const control = new RunControl();
+    let resumed = false;
+    const summary = run(control, (email) => {
+      if (email === 'alice@example.com') {
+        control.pause();
+        setTimeout(() => {
+          resumed = true;
+          control.resume();
+        }, 50);
+      } else {
+        assert.ok(resumed);
+      }
+    });
+
+    assert.equal((await summary).successful, 3);
+  });
+});
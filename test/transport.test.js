@@ -0,0 +1,100 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transport, checkSchema } from '../lib/transport.js';
+import { DawnClient, ENDPOINTS } from '../lib/dawnClient.js';
+import { CancelledError, DawnError } from '../lib/errors.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readResults, runScript } from './helpers.js';
+
+const PUZZLE = new DawnClient().endpoint('puzzle');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: { 'alice@example.com': 'alice-pass' } });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+  for (const steps of Object.values(server.steps)) {
+    steps.length = 0;
+  }
+});
+
+describe('response schemas', () => {
+  const schema = ENDPOINTS.login.schema;
+
+  it('accepts a matching body', () => {
+    assert.equal(checkSchema(schema, { success: true, data: { token: 'abc' } }), null);
+  });
+
+  it('names the first mismatch', () => {
+    assert.equal(checkSchema(schema, { data: {} }), 'data.token is missing');
+    assert.equal(checkSchema(schema, { data: { token: 42 } }), 'data.token should be a string, got number');
+    assert.equal(checkSchema(schema, []), 'body should be an object, got array');
+  });
+});
+
+describe('transport', () => {
+  it('times out a hung request and retries it', async () => {
+    server.useScenario('slow-puzzle');
+    const client = new DawnClient({ baseUrl, timeout: 200 });
+    const started = Date.now();
+
+    assert.equal(await client.getPuzzleId('app'), 'mock-puzzle-1');
+    assert.equal(server.requests.length, 2);
+    assert.ok(Date.now() - started < 4000);
+  });
+
+  it('reports the timeout once the retries run out', async () => {
+    server.script('puzzle', 'hang', 'hang');
+    const transport = new Transport({ baseUrl, timeout: 100, retries: 2, retryDelay: 10 });
+
+    await assert.rejects(transport.request(PUZZLE), (error) => {
+      assert.ok(error instanceof DawnError);
+      assert.equal(error.category, 'network_error');
+      assert.match(error.message, /Failed to get puzzle ID after 2 attempts: Request to puzzle\/get-puzzle timed out after 100ms/);
+      return true;
+    });
+  });
+
+  it('stops at once when cancelled, without retrying', async () => {
+    server.useScenario('slow-puzzle');
+    const controller = new AbortController();
+    const transport = new Transport({ baseUrl, timeout: 0, signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(transport.request(PUZZLE), CancelledError);
+    assert.equal(server.requests.length, 1);
+  });
+
+  it('raises a malformed_response error when the API changes shape', async () => {
+    server.useScenario('changed-api');
+    const transport = new Transport({ baseUrl, retries: 1 });
+
+    await assert.rejects(transport.request(PUZZLE), {
+      name: 'DawnError',
+      category: 'malformed_response',
+      message: 'unexpected response from puzzle/get-puzzle: puzzle_id is missing'
+    });
+  });
+
+  it('takes the request timeout from the command line', async () => {
+    const workdir = await makeWorkdir([{ email: 'alice@example.com', password: 'alice-pass' }]);
+    server.script('puzzle', 'hang', 'hang', 'hang');
+    const { stdout } = await runScript('index.js', {
+      cwd: workdir,
+      baseUrl,
+      args: ['--solver', 'manual', '--account-delay', '0', '--retry-delay', '10', '--request-timeout', '100']
+    });
+
+    assert.match(stdout, /timed out after 100ms/);
+    const [failure, success] = await readResults(workdir);
+    assert.equal(failure.errorCategory, 'network_error');
+    assert.equal(success.outcome, 'success');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { Vault, VaultError } from '../lib/vault.js';
+import { MockAeropresServer } from './mockServer.js';
+import { makeWorkdir, readLines, runScript } from './helpers.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+let server;
+let baseUrl;
+let workdir;
+
+before(async () => {
+  server = new MockAeropresServer({ accounts: { 'alice@example.com': 'alice-pass' } });
+  baseUrl = await server.listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  workdir = await makeWorkdir([]);
+});
+
+describe('Vault', () => {
+  it('round-trips accounts, keys and tokens without storing them in the clear', async () => {
+    const file = path.join(workdir, 'test.vault');
+    const vault = await Vault.create(file, PASSPHRASE);
+    vault.importAccounts([{ email: 'alice@example.com', password: 'secret-password' }]);
+    vault.setSecret('2captcha', 'secret-key');
+    vault.setToken('alice@example.com', 'secret-token');
+    await vault.save();
+
+    const raw = await fs.readFile(file, 'utf8');
+    assert.doesNotMatch(raw, /secret-|alice@example\.com/);
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+    const reopened = await Vault.open(file, PASSPHRASE);
+    assert.deepEqual(reopened.accounts, [{ email: 'alice@example.com', password: 'secret-password' }]);
+    assert.equal(reopened.getSecret('2captcha'), 'secret-key');
+    assert.equal(reopened.tokens['alice@example.com'].token, 'secret-token');
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const file = path.join(workdir, 'test.vault');
+    await Vault.create(file, PASSPHRASE);
+    await assert.rejects(Vault.open(file, 'wrong'), VaultError);
+  });
+});
+
+describe('vault commands', () => {
+  const env = { DAWN_VAULT_PASSPHRASE: PASSPHRASE };
+  const run = (args) => runScript('index.js', { cwd: workdir, baseUrl, args, env });
+
+  it('imports credentials, logs in from the vault and keeps the token there', async () => {
+    await fs.writeFile(path.join(workdir, 'file.txt'), 'alice@example.com:alice-pass\n');
+
+    assert.equal((await run(['vault', 'init'])).code, 0);
+    assert.equal((await run(['vault', 'import'])).code, 0);
+    await fs.remove(path.join(workdir, 'file.txt'));
+
+    const { code } = await run(['login', '--solver', 'manual', '--account-delay', '0']);
+    assert.equal(code, 0);
+    assert.equal(await fs.pathExists(path.join(workdir, 'tokens.json')), false);
+
+    const vault = await Vault.open(path.join(workdir, 'dawn.vault'), PASSPHRASE);
+    assert.match(vault.tokens['alice@example.com'].token, /^mock-token-/);
+
+    const { stdout } = await run(['validate']);
+    assert.match(stdout, /alice@example\.com: valid/);
+  });
+
+  it('exports credentials and stores API keys', async () => {
+    await run(['vault', 'init']);
+    await fs.writeFile(path.join(workdir, 'file.txt'), 'bob@example.com:bob-pass\n');
+    await run(['vault', 'import']);
+    await run(['vault', 'set-key', '2captcha', 'key-123']);
+
+    await run(['vault', 'export', 'backup.txt']);
+    assert.deepEqual(await readLines(workdir, 'backup.txt'), ['bob@example.com:bob-pass']);
+
+    const vault = await Vault.open(path.join(workdir, 'dawn.vault'), PASSPHRASE);
+    assert.equal(vault.getSecret('2captcha'), 'key-123');
+  });
+
+  it('stays locked without a passphrase', async () => {
+    await run(['vault', 'init']);
+    const { code, stdout } = await runScript('index.js', { cwd: workdir, baseUrl, args: ['validate'] });
+    assert.equal(code, 2);
+    assert.match(stdout, /is locked, set DAWN_VAULT_PASSPHRASE/);
+  });
+});